@@ -0,0 +1,96 @@
+/**
+ * 로컬 WebSocket 채팅 서버
+ * `npm run chat-server` 로 실행한다. (기본 포트 1234, CHAT_PORT 로 변경)
+ *
+ * ws://localhost:1234/?room=general&user=Taylor 로 접속한다.
+ * - 서버 -> 클라이언트: { type: 'connected', roomId, author }
+ *                       { type: 'message', message: { id, roomId, author, text, clientId, time } }
+ *                       { type: 'presence', event: 'join' | 'leave', user, users }
+ *                       { type: 'typing', user, isTyping }
+ * - 클라이언트 -> 서버: { type: 'message', text, clientId }
+ *                       { type: 'typing', isTyping }
+ * 같은 room 에 있는 모든 연결(보낸 사람 포함)에게 메시지를 보낸다. typing 은 보낸 사람을 뺀 연결에게만 보낸다.
+ * clientId 는 보낸 클라이언트가 전송 확인(ack)에 쓰도록 그대로 돌려준다.
+ */
+
+const { WebSocketServer } = require('ws');
+
+const PORT = Number(process.env.CHAT_PORT || 1234);
+
+// roomId -> Map<WebSocket, author>
+const rooms = new Map();
+let nextClientId = 1;
+let nextMessageId = 0;
+
+function getRoom(roomId) {
+  if (!rooms.has(roomId)) {
+    rooms.set(roomId, new Map());
+  }
+  return rooms.get(roomId);
+}
+
+function broadcast(roomId, payload, except = null) {
+  const data = JSON.stringify(payload);
+  getRoom(roomId).forEach((_, socket) => {
+    if (socket !== except && socket.readyState === socket.OPEN) {
+      socket.send(data);
+    }
+  });
+}
+
+function broadcastPresence(roomId, event, user) {
+  const users = [...new Set(getRoom(roomId).values())];
+  broadcast(roomId, { type: 'presence', event, user, users });
+}
+
+const server = new WebSocketServer({ port: PORT });
+
+server.on('connection', (socket, request) => {
+  const url = new URL(request.url, 'http://localhost');
+  const roomId = url.searchParams.get('room') || 'general';
+  const author = url.searchParams.get('user') || `guest-${nextClientId++}`;
+  const room = getRoom(roomId);
+
+  room.set(socket, author);
+  console.log(`✅ ${author} joined "${roomId}" (${room.size} connected)`);
+  socket.send(JSON.stringify({ type: 'connected', roomId, author }));
+  broadcastPresence(roomId, 'join', author);
+
+  socket.on('message', (data) => {
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      return;
+    }
+    if (payload.type === 'typing') {
+      broadcast(roomId, { type: 'typing', user: author, isTyping: payload.isTyping === true }, socket);
+      return;
+    }
+    if (payload.type !== 'message' || typeof payload.text !== 'string') {
+      return;
+    }
+    broadcast(roomId, {
+      type: 'message',
+      message: {
+        id: nextMessageId++,
+        roomId,
+        author,
+        text: payload.text,
+        clientId: typeof payload.clientId === 'string' ? payload.clientId : null,
+        time: Date.now(),
+      },
+    });
+  });
+
+  socket.on('close', () => {
+    room.delete(socket);
+    console.log(`❌ ${author} left "${roomId}" (${room.size} connected)`);
+    broadcast(roomId, { type: 'typing', user: author, isTyping: false });
+    broadcastPresence(roomId, 'leave', author);
+  });
+});
+
+server.on('listening', () => {
+  console.log(`Chat server listening on ws://localhost:${PORT}`);
+});
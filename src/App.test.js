@@ -1,8 +1,511 @@
-import { render, screen } from '@testing-library/react';
+import { render, screen, within, fireEvent, waitFor, act } from '@testing-library/react';
 import App from './App';
+import { installForTest, installManualClock, installGlobal, flushPromises, firePointer } from './testUtils';
+import { installConsoleCapture } from './gallery/consoleCapture';
+import { getHashPath } from './gallery/useHashPath';
+import { installEffectTracing } from './gallery/effectTracing';
+import { installLeakDetection, getLeaks } from './gallery/leakDetection';
+import { getRenderCounts } from './gallery/renderTracking';
+import { setSimulatedOnlineStatus } from './hooks/useOnlineStatus';
+import { createManualClock } from './clock/clock';
+import { ClockProvider } from './clock/useClock';
+import { setNetworkConditions, resetNetworkConditions } from './network/networkConditions';
+import { ACK_TIMEOUT } from './chat/useChatTranscript';
+import { createChatConnection } from './chat/chatServer';
 
-test('renders learn react link', () => {
+// 예제는 hash 로 고르고, 상태를 저장소와 시뮬레이션 설정에 남긴다.
+afterEach(() => {
+  window.location.hash = '';
+  window.localStorage.clear();
+  setSimulatedOnlineStatus(null);
+  resetNetworkConditions();
+});
+
+test('lists examples by chapter', () => {
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Escape Hatches' })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'StopWatch' })).toHaveAttribute(
+    'href',
+    '#/escape_hatches/ReferencingValuesWithRefs/StopWatch'
+  );
+});
+
+test('renders the example selected by the hash', () => {
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/StopWatch';
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'StopWatch' })).toBeInTheDocument();
+  expect(screen.getByText(/Time passed/)).toBeInTheDocument();
+});
+
+test('keeps the gallery alive when an example throws', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.location.hash = '#/managing_state/PreservingAndResettingState/FIX_MISPLACED_STATE_IN_THE_LIST';
+  render(<App />);
+  expect(screen.getByRole('alert')).toHaveTextContent(/Objects are not valid as a React child/);
+  expect(screen.getByRole('button', { name: 'Reset example' })).toBeInTheDocument();
+  expect(screen.getByRole('heading', { name: 'Managing State' })).toBeInTheDocument();
+});
+
+test('shows the error of an unfinished challenge in its boundary', () => {
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+  window.location.hash = '#/managing_state/SharingStateBetweenComponents/FILTERING_A_LIST';
+  render(<App />);
+  expect(screen.getByRole('alert')).toHaveTextContent('Something went wrong in FILTERING_A_LIST');
+  expect(screen.getByRole('link', { name: 'SyncedInputs' })).toBeInTheDocument();
+});
+
+test('shows the console output of the running example', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  installForTest(installConsoleCapture({ getSource: getHashPath }));
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/ReferencingRefs';
+  render(<App />);
+  const panel = screen.getByRole('complementary', { name: 'Console' });
+  expect(await within(panel).findAllByText('RENDER')).not.toHaveLength(0);
+});
+
+test('marks the effects re-run by StrictMode in the timeline', async () => {
+  installForTest(installEffectTracing());
+  window.location.hash = '#/escape_hatches/SynchronizingWithEffects/FIX_AN_INTERVAL_THAT_FIRES_TWICE';
+  render(<App />);
+  const timeline = screen.getByRole('complementary', { name: 'Effect timeline' });
+  const strictCalls = await within(timeline).findAllByText('StrictMode');
+  // StrictMode 가 흉내낸 cleanup 한 번과 다시 실행한 setup 한 번
+  expect(strictCalls).toHaveLength(2);
+  expect(within(timeline).getAllByText('FIX_AN_INTERVAL_THAT_FIRES_TWICE')).toHaveLength(3);
+
+  fireEvent.click(screen.getByRole('checkbox', { name: 'StrictMode' }));
+  await waitFor(() => {
+    expect(within(timeline).getAllByText('FIX_AN_INTERVAL_THAT_FIRES_TWICE')).toHaveLength(5);
+  });
+  expect(within(timeline).getAllByText('StrictMode')).toHaveLength(2);
+});
+
+test('shows the chat connection status in the room header', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/ChatRoom';
+  render(<App />);
+  expect(screen.getByRole('status')).toHaveTextContent('Connecting');
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+});
+
+test('echoes sent chat messages and marks them delivered', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/ChatRoom';
+  render(<App />);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+
+  const transcript = screen.getByRole('list', { name: 'Transcript' });
+  const [, messageInput] = screen.getAllByRole('textbox');
+  // 보낸 메시지는 outbox 에서 잠시 기다린다. 되돌리면 보내지 않는다.
+  fireEvent.change(messageInput, { target: { value: 'oops' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  expect(screen.getByRole('list', { name: 'Outbox' })).toHaveTextContent(/oops.*Sending in 5s/);
+  fireEvent.click(screen.getByRole('button', { name: 'Undo' }));
+  expect(screen.queryByRole('list', { name: 'Outbox' })).not.toBeInTheDocument();
+
+  fireEvent.change(messageInput, { target: { value: 'hello' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Send now' }));
+  expect(within(transcript).getByRole('listitem')).toHaveTextContent(/hello.*⏳/);
+  await waitFor(() => {
+    expect(within(transcript).getByRole('listitem')).toHaveTextContent(/hello.*✓/);
+  });
+});
+
+test('sends queued chat messages before disconnecting when the example unmounts', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  // 같은 room 에 들어와 있는 다른 사용자
+  const observer = createChatConnection({ serverUrl: 'https://localhost:1234', roomId: 'general', user: 'observer' });
+  const received = [];
+  observer.on('message', text => received.push(text));
+  observer.connect();
+  installForTest(() => observer.disconnect());
+
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/ChatRoom';
+  render(<App />);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+  const [, messageInput] = screen.getAllByRole('textbox');
+  fireEvent.change(messageInput, { target: { value: 'bye' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  expect(screen.getByRole('list', { name: 'Outbox' })).toHaveTextContent(/bye.*Sending in 5s/);
+
+  act(() => {
+    window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/Counter';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  });
+  await waitFor(() => expect(received).toContain('bye'));
+  expect(console.warn).not.toHaveBeenCalledWith(expect.stringMatching(/^Could not send/));
+});
+
+test('keeps a queued chat message in the outbox and reports it when it cannot be sent', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/ChatRoom';
+  render(<App />);
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+  act(() => setSimulatedOnlineStatus(false));
+  const transcript = screen.getByRole('list', { name: 'Transcript' });
+  const [, messageInput] = screen.getAllByRole('textbox');
+  fireEvent.change(messageInput, { target: { value: 'offline' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Send now' }));
+  expect(await screen.findByRole('alert')).toHaveTextContent('Not sent: Not connected to the room.');
+  expect(console.warn).toHaveBeenCalledWith('Could not send "offline": Not connected to the room.');
+  expect(within(transcript).queryByText('offline')).not.toBeInTheDocument();
+
+  act(() => setSimulatedOnlineStatus(null));
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+  fireEvent.click(within(screen.getByRole('list', { name: 'Outbox' })).getByRole('button', { name: 'Retry' }));
+  await waitFor(() => {
+    expect(within(transcript).getByRole('listitem')).toHaveTextContent(/offline.*✓/);
+  });
+  expect(screen.queryByRole('list', { name: 'Outbox' })).not.toBeInTheDocument();
+});
+
+test('marks a chat message failed when no ack arrives in time and delivers it on retry', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const clock = createManualClock({ startTime: Date.now() });
+  const wrapper = ({ children }) => <ClockProvider clock={clock}>{children}</ClockProvider>;
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/ChatRoom';
+  render(<App />, { wrapper });
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+
+  // 서버로 가는 메시지가 모두 유실된다.
+  act(() => setNetworkConditions({ failureRate: 1 }));
+  const transcript = screen.getByRole('list', { name: 'Transcript' });
+  const [, messageInput] = screen.getAllByRole('textbox');
+  fireEvent.change(messageInput, { target: { value: 'lost' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Send now' }));
+  expect(within(transcript).getByRole('listitem')).toHaveTextContent(/lost.*⏳/);
+  act(() => clock.advance(ACK_TIMEOUT));
+  expect(within(transcript).getByRole('listitem')).toHaveTextContent(/lost.*Not delivered/);
+
+  act(() => resetNetworkConditions());
+  fireEvent.click(within(transcript).getByRole('button', { name: 'Retry' }));
+  expect(within(transcript).getByRole('listitem')).toHaveTextContent(/lost.*⏳/);
+  await waitFor(() => {
+    expect(within(transcript).getByRole('listitem')).toHaveTextContent(/lost.*✓/);
+  });
+  // 전송 확인이 왔으니 ack timeout 은 남아있지 않다.
+  expect(clock.getTimerCount()).toBe(0);
+});
+
+test('shows ciphertext on the wire once encryption is enabled', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/LifecycleOfReactiveEffects/FIX_A_CONNECTION_SWITCH';
+  render(<App />);
+  const wireLog = screen.getByRole('region', { name: 'Wire log' });
+  fireEvent.click(within(wireLog).getByRole('button', { name: 'Clear' }));
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Enable encryption' }));
+  await waitFor(() => {
+    expect(within(wireLog).getAllByText(/key exchange/)).toHaveLength(2);
+  });
+});
+
+test('decrypts encrypted chat messages on delivery', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/RemovingEffectDependencies/FIX_A_RECONNECTING_CHAT_AGAIN';
+  render(<App />);
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Enable encryption' }));
+  const wireLog = screen.getByRole('region', { name: 'Wire log' });
+  await waitFor(() => {
+    expect(within(wireLog).getAllByText(/key exchange/)).toHaveLength(2);
+  });
+  await waitFor(() => expect(screen.getByRole('status')).toHaveTextContent('Connected'));
+
+  const transcript = screen.getByRole('list', { name: 'Transcript' });
+  fireEvent.change(screen.getByRole('textbox'), { target: { value: 'secret' } });
+  fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  fireEvent.click(screen.getByRole('button', { name: 'Send now' }));
+  await waitFor(() => {
+    expect(within(transcript).getByRole('listitem')).toHaveTextContent(/secret.*✓/);
+  });
+  const frame = within(wireLog).getByRole('row', { name: /client → server secret/ });
+  const [, plaintext, payload] = within(frame).getAllByRole('cell');
+  expect(plaintext).toHaveTextContent('secret');
+  expect(payload).not.toHaveTextContent('secret');
+});
+
+test('POPULATE_A_CHAIN_OF_SELECT_BOXES empties the list when loading fails', async () => {
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const clock = installManualClock();
+  setNetworkConditions({ failureRate: 1 });
+  window.location.hash = '#/escape_hatches/LifecycleOfReactiveEffects/POPULATE_A_CHAIN_OF_SELECT_BOXES';
+  render(<App />);
+  // StrictMode 가 effect 를 한 번 더 실행하므로 요청이 두 번 나가지만, 렌더링마다 다시 요청하지는 않는다.
+  expect(clock.getTimerCount()).toBe(2);
+  await act(async () => {
+    clock.advance(3000);
+    await flushPromises();
+  });
+  expect(console.warn).toHaveBeenCalledTimes(1);
+  expect(console.warn).toHaveBeenCalledWith('Failed to load /planets: Network error (simulated)');
+  expect(screen.getByRole('combobox', { name: /Pick a planet/ })).toBeEmptyDOMElement();
+  expect(clock.getTimerCount()).toBe(0);
+});
+
+test('shows who is in the room and who is typing', () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/LifecycleOfReactiveEffects/FIX_RECONNECTION_ON_EVERY_KEYSTROKE';
+  const clock = installManualClock();
+  render(<App />);
+  const presence = screen.getByRole('region', { name: 'Presence' });
+  act(() => clock.advance(100));
+  expect(presence).toHaveTextContent('In the room (2): bot, me');
+  expect(screen.queryByText('bot is typing…')).not.toBeInTheDocument();
+  // bot 은 메시지를 보내기 1초 전부터 입력 중이라고 알린다.
+  act(() => clock.advance(2000));
+  expect(screen.getByText('bot is typing…')).toBeInTheDocument();
+  act(() => clock.advance(1000));
+  expect(screen.queryByText('bot is typing…')).not.toBeInTheDocument();
+});
+
+test('lists the connections opened by the current example', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  installForTest(installEffectTracing());
+  window.location.hash = '#/escape_hatches/LifecycleOfReactiveEffects/CharRoomExample';
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Open chat' }));
+
+  const inspector = screen.getByRole('complementary', { name: 'Connections' });
+  // StrictMode 가 한 번 더 연결하므로 첫 연결은 닫히고 두 번째 연결이 열린다.
+  await waitFor(() => {
+    expect(within(inspector).getAllByRole('row', { name: /general .* open/ })).toHaveLength(1);
+  });
+  expect(within(inspector).getAllByRole('row', { name: /general .* closed/ })).toHaveLength(1);
+
+  fireEvent.change(screen.getByRole('combobox', { name: /chat room/ }), { target: { value: 'travel' } });
+  await waitFor(() => {
+    expect(within(inspector).getAllByRole('row', { name: /travel .* open/ })).toHaveLength(1);
+  });
+  expect(within(inspector).getAllByRole('row', { name: /general .* closed/ })).toHaveLength(2);
+  expect(within(inspector).queryByText('Leak')).not.toBeInTheDocument();
+});
+
+test('StopWatch leaves no timer behind when the example unmounts while running', async () => {
+  installForTest(installEffectTracing());
+  installForTest(installLeakDetection());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/StopWatch';
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'start' }));
+  fireEvent.click(screen.getByRole('button', { name: 'pause' }));
+  fireEvent.click(screen.getByRole('button', { name: 'resume' }));
+  // 화면을 다시 그리는 timer 는 effect 가 만들었으므로 기록된다.
+  expect(getLeaks('escape_hatches/ReferencingValuesWithRefs/StopWatch')).toEqual([
+    expect.objectContaining({ kind: 'timeout', description: 'setTimeout(10ms)' }),
+  ]);
+
+  act(() => {
+    window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/Counter';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  });
+  await act(() => Promise.resolve());
+  expect(console.warn).not.toHaveBeenCalledWith(expect.stringMatching(/^Leak in/));
+});
+
+test('logs which dependency made a traced effect re-run', () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/LifecycleOfReactiveEffects/FIX_A_CONNECTION_SWITCH';
+  render(<App />);
+  fireEvent.change(screen.getByRole('combobox', { name: /chat room/ }), { target: { value: 'travel' } });
+  expect(console.log).toHaveBeenCalledWith(
+    '🔍 [ChatRoom connection] re-ran because roomId (#0) changed: "general" → "travel"'
+  );
+});
+
+test('counts re-renders of state updates but not of ref updates', () => {
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/Counter';
+  render(<App />);
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Highlight renders' }));
+
+  fireEvent.click(screen.getByRole('button', { name: /You clikced/ }));
+  fireEvent.click(screen.getByRole('button', { name: /You clikced/ }));
+  expect(getRenderCounts('escape_hatches/ReferencingValuesWithRefs/Counter')).toEqual([]);
+
+  act(() => {
+    window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/FIX_A_COMPONENT_FAILING_TO_RE_RENDER';
+    window.dispatchEvent(new HashChangeEvent('hashchange'));
+  });
+  fireEvent.click(screen.getByRole('button', { name: 'Off' }));
+  fireEvent.click(screen.getByRole('button', { name: 'On' }));
+  expect(getRenderCounts('escape_hatches/ReferencingValuesWithRefs/FIX_A_COMPONENT_FAILING_TO_RE_RENDER')).toEqual([
+    expect.objectContaining({ name: 'FIX_A_COMPONENT_FAILING_TO_RE_RENDER', count: 3 }),
+  ]);
+  fireEvent.click(screen.getByRole('checkbox', { name: 'Highlight renders' }));
+});
+
+test('StatusBar and SaveButton follow the simulated online status', () => {
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/StatusBar';
+  render(<App />);
+  expect(screen.getByRole('heading', { name: '✅ Online' })).toBeInTheDocument();
+  act(() => setSimulatedOnlineStatus(false));
+  expect(screen.getByRole('heading', { name: '❌ Disconnected' })).toBeInTheDocument();
+  act(() => setSimulatedOnlineStatus(null));
+  expect(screen.getByRole('heading', { name: '✅ Online' })).toBeInTheDocument();
+});
+
+test('SaveButton starts disabled when the browser is already offline', () => {
+  jest.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+  window.location.hash = '#/escape_hatches/ReusingLogicWithCustomHooks/SaveButton';
+  render(<App />);
+  expect(screen.getByRole('button', { name: 'Reconnecting...' })).toBeDisabled();
+});
+
+test('browser store hooks read their values on the first render', () => {
+  window.localStorage.setItem('browser-stores-note', 'saved');
+  window.location.hash = '#/escape_hatches/YouMightNotNeedAnEffect/BrowserStores';
+  render(<App />);
+  expect(screen.getByRole('textbox', { name: 'Note' })).toHaveValue('saved');
+  expect(screen.getByText('visible')).toBeInTheDocument();
+
+  fireEvent.change(screen.getByRole('textbox', { name: 'Note' }), { target: { value: 'edited' } });
+  expect(window.localStorage.getItem('browser-stores-note')).toBe('edited');
+
+  act(() => {
+    window.localStorage.setItem('browser-stores-note', 'from another tab');
+    window.dispatchEvent(new StorageEvent('storage', { key: 'browser-stores-note' }));
+  });
+  expect(screen.getByRole('textbox', { name: 'Note' })).toHaveValue('from another tab');
+});
+
+test('Toggle switches by click and by dragging the thumb past the middle', () => {
+  const clock = installManualClock();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  window.location.hash = '#/escape_hatches/YouMightNotNeedAnEffect/Toggle';
+  render(<App />);
+  const toggle = screen.getByRole('switch', { name: 'Toggle' });
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-checked', 'true');
+
+  firePointer(toggle, 'pointerdown', 100);
+  firePointer(window, 'pointermove', 80);
+  firePointer(window, 'pointerup', 80);
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-checked', 'false');
+
+  // 천천히 조금 끌면 그대로, 빠르게 튕기면 튕긴 방향으로 바뀐다.
+  firePointer(toggle, 'pointerdown', 100);
+  clock.advance(100);
+  firePointer(window, 'pointermove', 105);
+  clock.advance(100);
+  firePointer(window, 'pointerup', 105);
+  fireEvent.click(toggle);
+  expect(toggle).toHaveAttribute('aria-checked', 'false');
+  expect(console.log).toHaveBeenLastCalledWith('Toggle', false);
+
+  firePointer(toggle, 'pointerdown', 100);
+  clock.advance(5);
+  firePointer(window, 'pointermove', 105);
+  firePointer(window, 'pointerup', 105);
+  expect(toggle).toHaveAttribute('aria-checked', 'true');
+});
+
+test('Welcome fades in with the animation engine and can be paused and reversed', () => {
+  const clock = installManualClock();
+  window.location.hash = '#/escape_hatches/RemovingEffectDependencies/FIX_A_RETRIGGERING_ANIMATION';
   render(<App />);
-  const linkElement = screen.getByText(/learn react/i);
-  expect(linkElement).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+  const welcome = screen.getByRole('heading', { name: 'Welcome' });
+  expect(welcome).toHaveStyle({ opacity: '0' });
+
+  // 첫 frame 에서 시간을 재기 시작하므로 31 frame(496ms) 만큼 진행한다.
+  act(() => clock.advanceFrames(32));
+  expect(welcome).toHaveStyle({ opacity: '0.496' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  act(() => clock.advanceFrames(32));
+  expect(welcome).toHaveStyle({ opacity: '0.496' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+  act(() => clock.advanceFrames(120));
+  expect(welcome).toHaveStyle({ opacity: '1', color: 'rgba(255, 235, 59, 1)', transform: 'translateY(0px) scale(1)' });
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reverse' }));
+  act(() => clock.advanceFrames(120));
+  expect(welcome).toHaveStyle({ opacity: '0' });
+});
+
+test('animations jump to their end when reduced motion is preferred', () => {
+  installGlobal('matchMedia', jest.fn(query => ({ matches: query === '(prefers-reduced-motion: reduce)' })));
+  window.location.hash = '#/escape_hatches/RemovingEffectDependencies/FIX_A_RETRIGGERING_ANIMATION';
+  render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'Show' }));
+  expect(screen.getByRole('heading', { name: 'Welcome' })).toHaveStyle({ opacity: '1' });
+  expect(screen.getByRole('button', { name: 'Pause' })).toBeDisabled();
+});
+
+test('StopWatch records laps, pauses, and resumes a session saved before reload', () => {
+  const clock = installManualClock({ startTime: 1000 });
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/StopWatch';
+  const { unmount } = render(<App />);
+  fireEvent.click(screen.getByRole('button', { name: 'start' }));
+  act(() => clock.advance(1234));
+  expect(screen.getByRole('heading', { name: 'Time passed: 00:01.23' })).toBeInTheDocument();
+
+  // 단축키: L 랩, Space 일시정지
+  fireEvent.keyDown(window, { key: 'l' });
+  act(() => clock.advance(3000));
+  fireEvent.click(screen.getByRole('button', { name: 'lap' }));
+  act(() => clock.advance(2000));
+  fireEvent.keyDown(window, { key: 'L' });
+  const laps = screen.getByRole('table', { name: 'Laps' });
+  expect(within(laps).getByRole('row', { name: '1 00:01.23 (best) 00:01.23' })).toBeInTheDocument();
+  expect(within(laps).getByRole('row', { name: '2 00:03.00 (worst) 00:04.23' })).toBeInTheDocument();
+  expect(within(laps).getByRole('row', { name: '3 00:02.00 00:06.23' })).toBeInTheDocument();
+  expect(screen.getByRole('link', { name: 'Export laps (CSV)' })).toHaveAttribute(
+    'href',
+    'data:text/csv;charset=utf-8,' + encodeURIComponent('Lap,Lap time,Total\n1,00:01.23,00:01.23\n2,00:03.00,00:04.23\n3,00:02.00,00:06.23')
+  );
+
+  fireEvent.keyDown(window, { key: ' ' });
+  act(() => clock.advance(5000));
+  expect(screen.getByRole('heading', { name: 'Time passed: 00:06.23' })).toBeInTheDocument();
+  fireEvent.click(screen.getByRole('button', { name: 'resume' }));
+  act(() => clock.advance(1000));
+
+  // 새로고침: 다시 mount 해도 저장된 세션을 이어서 잰다.
+  unmount();
+  act(() => clock.advance(1000));
+  render(<App />);
+  expect(screen.getByRole('heading', { name: 'Time passed: 00:08.23' })).toBeInTheDocument();
+  expect(screen.getByRole('table', { name: 'Laps' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'pause' }));
+  fireEvent.keyDown(window, { key: 'r' });
+  expect(screen.getByRole('heading', { name: 'Time passed: 00:00.00' })).toBeInTheDocument();
+  expect(window.localStorage.getItem('stopwatch-session')).toBeNull();
+});
+
+test('FIX_A_BROKEN_CHAT_INPUT queues messages with their own undo countdown and flushes them on pagehide', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const clock = installManualClock();
+  window.location.hash = '#/escape_hatches/ReferencingValuesWithRefs/FIX_A_BROKEN_CHAT_INPUT';
+  render(<App />);
+  const sendText = text => {
+    fireEvent.change(screen.getByRole('textbox'), { target: { value: text } });
+    fireEvent.click(screen.getByRole('button', { name: 'Send' }));
+  };
+  sendText('first');
+  act(() => clock.advance(1000));
+  sendText('second');
+  const outbox = screen.getByRole('list', { name: 'Outbox' });
+  const [first, second] = within(outbox).getAllByRole('listitem');
+  expect(first).toHaveTextContent('first Sending in 2s');
+  expect(second).toHaveTextContent('second Sending in 3s');
+
+  fireEvent.click(within(first).getByRole('button', { name: 'Undo' }));
+  act(() => clock.advance(3000));
+  await waitFor(() => expect(screen.queryByRole('list', { name: 'Outbox' })).not.toBeInTheDocument());
+  expect(console.log).toHaveBeenCalledWith('Sent: second');
+  expect(console.log).not.toHaveBeenCalledWith('Sent: first');
+
+  // 페이지를 떠나면 기다리지 않고 보낸다.
+  sendText('third');
+  fireEvent(window, new Event('pagehide'));
+  expect(console.log).toHaveBeenCalledWith('Sent: third');
+  await waitFor(() => expect(screen.queryByRole('list', { name: 'Outbox' })).not.toBeInTheDocument());
+  expect(clock.getTimerCount()).toBe(0);
 });
@@ -0,0 +1,227 @@
+/**
+ * timeline 애니메이션 엔진 (FadeInAnimation 을 일반화한 것)
+ *
+ * timeline 은 { duration, seek(time) } 이다. seek(time) 은 time ms 시점의 모습을 node.style 에 그린다.
+ * - tween(node, { from, to, duration, delay, easing }): 한 node 의 여러 속성을 from -> to 로 바꾼다.
+ *   속성: opacity, x, y(px), scale, rotate(deg), color, backgroundColor. registerProperty 로 추가할 수 있다.
+ *   x, y, scale, rotate 는 하나의 transform 으로 합쳐서 그린다.
+ * - sequence([...timelines]): 하나씩 차례로
+ * - parallel([...timelines]): 동시에. 가장 긴 timeline 이 끝나면 끝난다.
+ *
+ * play(timeline, { onStateChange, respectReducedMotion, clock }) 로 재생하고 controls 를 돌려받는다.
+ * clock 을 넘기지 않으면 getClock() 의 시계로 시간을 재고 frame 을 건다. (src/clock/clock.js)
+ * - pause(), resume(), reverse(), stop()
+ * - state: 'running' | 'paused' | 'finished' | 'idle'
+ * - prefers-reduced-motion 이 켜져 있으면 움직이지 않고 바로 끝 모습으로 간다. (reverse 면 처음 모습)
+ */
+
+import { getClock } from '../clock/clock';
+
+const lerp = (from, to, progress) => from + (to - from) * progress;
+
+export const easings = {
+  linear: t => t,
+  easeIn: t => t * t * t,
+  easeOut: t => 1 - (1 - t) ** 3,
+  easeInOut: t => (t < 0.5 ? 4 * t * t * t : 1 - (-2 * t + 2) ** 3 / 2),
+};
+
+// '#rgb', '#rrggbb', 'rgb(r, g, b)', 'rgba(r, g, b, a)' -> [r, g, b, a]
+export function parseColor(color) {
+  const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color);
+  if (hex) {
+    const digits = hex[1].length === 3 ? [...hex[1]].map(digit => digit + digit) : hex[1].match(/../g);
+    return [...digits.map(pair => parseInt(pair, 16)), 1];
+  }
+  const rgb = /^rgba?\(([^)]+)\)$/i.exec(color);
+  if (rgb) {
+    const [r, g, b, a = 1] = rgb[1].split(',').map(Number);
+    return [r, g, b, a];
+  }
+  throw new Error(`Cannot animate color "${color}". Use #rgb, #rrggbb, rgb() or rgba().`);
+}
+
+const colorProperty = style => ({
+  style,
+  interpolate: (from, to, progress) => {
+    const start = parseColor(from);
+    const end = parseColor(to);
+    const [r, g, b, a] = start.map((channel, i) => lerp(channel, end[i], progress));
+    return `rgba(${Math.round(r)}, ${Math.round(g)}, ${Math.round(b)}, ${a})`;
+  },
+});
+
+// style: 바꿀 style 이름, transform: transform 에 넣을 함수 문자열을 만든다. 둘 중 하나만 쓴다.
+const properties = {
+  opacity: { style: 'opacity', interpolate: lerp },
+  x: { transform: value => `translateX(${value}px)`, interpolate: lerp },
+  y: { transform: value => `translateY(${value}px)`, interpolate: lerp },
+  scale: { transform: value => `scale(${value})`, interpolate: lerp },
+  rotate: { transform: value => `rotate(${value}deg)`, interpolate: lerp },
+  color: colorProperty('color'),
+  backgroundColor: colorProperty('backgroundColor'),
+};
+
+export function registerProperty(name, property) {
+  properties[name] = property;
+}
+
+function getProperty(name) {
+  if (!properties[name]) {
+    throw new Error(`Unknown animation property "${name}".`);
+  }
+  return properties[name];
+}
+
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+export function tween(node, { from, to, duration, delay = 0, easing = 'easeOut' }) {
+  const ease = typeof easing === 'function' ? easing : easings[easing];
+  if (!ease) {
+    throw new Error(`Unknown easing "${easing}".`);
+  }
+  const names = Object.keys(to);
+  names.forEach(getProperty);
+
+  return {
+    duration: delay + duration,
+    seek(time) {
+      const progress = duration === 0 ? (time >= delay ? 1 : 0) : clamp((time - delay) / duration, 0, 1);
+      const eased = ease(progress);
+      const transforms = [];
+      names.forEach(name => {
+        const property = getProperty(name);
+        const value = property.interpolate(from[name], to[name], eased);
+        if (property.transform) {
+          transforms.push(property.transform(value));
+        } else {
+          node.style[property.style] = value;
+        }
+      });
+      if (transforms.length > 0) {
+        node.style.transform = transforms.join(' ');
+      }
+    },
+  };
+}
+
+export function sequence(timelines) {
+  const offsets = [];
+  let duration = 0;
+  timelines.forEach(timeline => {
+    offsets.push(duration);
+    duration += timeline.duration;
+  });
+
+  return {
+    duration,
+    seek(time) {
+      // 아직 시작하지 않은 timeline 은 처음 모습으로 두고(뒤에서부터), 시작한 timeline 을 차례로 그린다.
+      // 같은 속성을 여러 timeline 이 바꾸면 지금 진행 중인 timeline 의 값이 남는다.
+      for (let i = timelines.length - 1; i >= 0; i--) {
+        if (time < offsets[i]) timelines[i].seek(0);
+      }
+      timelines.forEach((timeline, i) => {
+        if (time >= offsets[i]) {
+          timeline.seek(Math.min(time - offsets[i], timeline.duration));
+        }
+      });
+    },
+  };
+}
+
+export function parallel(timelines) {
+  return {
+    duration: Math.max(0, ...timelines.map(timeline => timeline.duration)),
+    seek(time) {
+      timelines.forEach(timeline => timeline.seek(Math.min(time, timeline.duration)));
+    },
+  };
+}
+
+export function prefersReducedMotion() {
+  return window.matchMedia?.('(prefers-reduced-motion: reduce)').matches ?? false;
+}
+
+export function play(timeline, { onStateChange, respectReducedMotion = true, clock = getClock() } = {}) {
+  let time = 0;
+  let direction = 1;
+  let state = 'idle';
+  let frameId = null;
+  let lastFrameTime = null;
+
+  function setState(nextState) {
+    state = nextState;
+    onStateChange?.(state);
+  }
+
+  function isAtEnd() {
+    return direction === 1 ? time >= timeline.duration : time <= 0;
+  }
+
+  function onFrame() {
+    // 첫 frame 에서는 시간을 재기 시작만 한다.
+    const frameTime = clock.now();
+    const elapsed = lastFrameTime === null ? 0 : frameTime - lastFrameTime;
+    lastFrameTime = frameTime;
+    time = clamp(time + elapsed * direction, 0, timeline.duration);
+    timeline.seek(time);
+    if (isAtEnd()) {
+      frameId = null;
+      setState('finished');
+    } else {
+      frameId = clock.requestAnimationFrame(onFrame);
+    }
+  }
+
+  function run() {
+    if (respectReducedMotion && prefersReducedMotion()) {
+      time = direction === 1 ? timeline.duration : 0;
+      timeline.seek(time);
+      setState('finished');
+      return;
+    }
+    lastFrameTime = null;
+    frameId = clock.requestAnimationFrame(onFrame);
+    setState('running');
+  }
+
+  function cancelFrame() {
+    clock.cancelAnimationFrame(frameId);
+    frameId = null;
+  }
+
+  timeline.seek(0);
+  run();
+
+  return {
+    get state() {
+      return state;
+    },
+    get direction() {
+      return direction;
+    },
+    pause() {
+      if (state !== 'running') return;
+      cancelFrame();
+      setState('paused');
+    },
+    resume() {
+      if (state !== 'paused') return;
+      run();
+    },
+    // 진행 방향을 바꾼다. 이미 끝났으면 반대 방향으로 다시 재생한다.
+    reverse() {
+      direction = -direction;
+      if (state === 'finished') {
+        run();
+      }
+    },
+    stop() {
+      cancelFrame();
+      if (state !== 'idle') {
+        setState('idle');
+      }
+    },
+  };
+}
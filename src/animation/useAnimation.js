@@ -0,0 +1,41 @@
+/**
+ * useAnimation(ref, createTimeline)
+ * mount 될 때 createTimeline(ref.current) 로 만든 timeline 을 재생하고, unmount 되면 멈춘다.
+ * -> { state, pause, resume, reverse, restart }
+ *
+ * createTimeline 은 useEffectEvent 로 읽는다. duration 같은 props 가 바뀌어도 처음부터 다시 재생하지 않고,
+ * restart() 를 호출했을 때 최신 값으로 다시 만든다. (FIX_A_RETRIGGERING_ANIMATION)
+ * useClock() 의 시계로 재생한다.
+ */
+
+import { useState, useEffect, useRef, useMemo } from 'react';
+import { useEffectEvent } from '../hooks/useEffectEvent';
+import { play } from './animation';
+import { useClock } from '../clock/useClock';
+
+export const useAnimation = (ref, createTimeline) => {
+  const [state, setState] = useState('idle');
+  // 다시 재생할 때마다 1씩 늘려서 effect 를 다시 실행한다.
+  const [runId, setRunId] = useState(0);
+  const playerRef = useRef(null);
+  const clock = useClock();
+  const buildTimeline = useEffectEvent(() => createTimeline(ref.current));
+
+  useEffect(() => {
+    const player = play(buildTimeline(), { onStateChange: setState, clock });
+    playerRef.current = player;
+    return () => {
+      player.stop();
+      playerRef.current = null;
+    };
+  }, [ref, runId, clock]);
+
+  const controls = useMemo(() => ({
+    pause: () => playerRef.current?.pause(),
+    resume: () => playerRef.current?.resume(),
+    reverse: () => playerRef.current?.reverse(),
+    restart: () => setRunId(id => id + 1),
+  }), []);
+
+  return { state, ...controls };
+}
@@ -0,0 +1,48 @@
+/**
+ * room 의 대화 기록
+ * 새 메시지가 오면 맨 아래로 스크롤한다.
+ */
+
+import { useEffect, useRef } from 'react';
+import './Chat.css';
+
+const STATUS_LABELS = {
+  sending: '⏳',
+  delivered: '✓',
+  failed: '⚠️ Not delivered',
+};
+
+const formatTime = (time) => new Date(time).toLocaleTimeString();
+
+export const ChatTranscript = ({ messages, onRetry }) => {
+  const listRef = useRef(null);
+
+  useEffect(() => {
+    const list = listRef.current;
+    list.scrollTop = list.scrollHeight;
+  }, [messages.length]);
+
+  return (
+    <ol ref={listRef} className="chat-transcript" aria-label="Transcript">
+      {messages.length === 0 && <li className="chat-transcript-empty">No messages yet.</li>}
+      {messages.map(message => (
+        <li
+          key={message.isOwn ? message.clientId : message.id}
+          className={`chat-message chat-message--${message.status}` + (message.isOwn ? ' chat-message--own' : '')}
+        >
+          <b>{message.author}</b>{' '}
+          <span>{message.text}</span>{' '}
+          <time>{formatTime(message.time)}</time>
+          {message.isOwn && (
+            <span className="chat-message-status">
+              {' '}{STATUS_LABELS[message.status]}
+              {message.status === 'failed' && onRetry && (
+                <button onClick={() => onRetry(message.clientId)}>Retry</button>
+              )}
+            </span>
+          )}
+        </li>
+      ))}
+    </ol>
+  );
+}
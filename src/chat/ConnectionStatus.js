@@ -0,0 +1,18 @@
+/**
+ * useChatRoom 의 연결 상태 표시
+ */
+
+const LABELS = {
+  connecting: '⏳ Connecting',
+  connected: '🟢 Connected',
+  reconnecting: '🔁 Reconnecting',
+  offline: '⚪ Offline',
+};
+
+export const ConnectionStatus = ({ status }) => {
+  return (
+    <small className={`connection-status connection-status--${status}`} role="status">
+      {LABELS[status] ?? status}
+    </small>
+  );
+}
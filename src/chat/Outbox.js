@@ -0,0 +1,36 @@
+/**
+ * 아직 보내지 않은 메시지 (useOutbox 의 items)
+ * 기다리는 메시지는 남은 시간과 Undo / Send now 를, 보내지 못한 메시지는 이유와 Retry / Discard 를 보여준다.
+ * payload 는 { text } 다.
+ */
+
+import './Chat.css';
+
+export const Outbox = ({ items, onUndo, onSendNow, onRetry }) => {
+  if (items.length === 0) return null;
+
+  return (
+    <ul className="chat-outbox" aria-label="Outbox">
+      {items.map(item => (
+        <li key={item.id} className={`chat-outbox-item chat-outbox-item--${item.status}`}>
+          <span>{item.payload.text}</span>{' '}
+          {item.status === 'queued' && (
+            <>
+              <span className="chat-outbox-countdown">Sending in {Math.ceil(item.remaining / 1000)}s</span>
+              <button onClick={() => onUndo(item.id)}>Undo</button>
+              <button onClick={() => onSendNow(item.id)}>Send now</button>
+            </>
+          )}
+          {item.status === 'sending' && <span>⏳</span>}
+          {item.status === 'failed' && (
+            <>
+              <span role="alert">⚠️ Not sent: {item.error}</span>
+              <button onClick={() => onRetry(item.id)}>Retry</button>
+              <button onClick={() => onUndo(item.id)}>Discard</button>
+            </>
+          )}
+        </li>
+      ))}
+    </ul>
+  );
+}
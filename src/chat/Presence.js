@@ -0,0 +1,37 @@
+/**
+ * room 의 사람 목록과 입력 중 표시
+ * usePresence, useTypingUsers 가 돌려준 값을 그대로 그린다.
+ */
+
+import './Chat.css';
+
+const formatTypingUsers = (users) => {
+  if (users.length === 1) {
+    return `${users[0]} is typing…`;
+  }
+  return `${users.slice(0, -1).join(', ')} and ${users.at(-1)} are typing…`;
+}
+
+export const PresenceList = ({ users, events }) => {
+  return (
+    <section className="chat-presence" aria-label="Presence">
+      <b>In the room ({users.length}):</b>{' '}
+      {users.join(', ')}
+      <ul>
+        {events.map(event => (
+          <li key={event.id}>
+            {event.type === 'join' ? '→' : '←'} {event.user} {event.type === 'join' ? 'joined' : 'left'}
+          </li>
+        ))}
+      </ul>
+    </section>
+  );
+}
+
+export const TypingIndicator = ({ users }) => {
+  return (
+    <p className="chat-typing" aria-live="polite">
+      {users.length > 0 && formatTypingUsers(users)}
+    </p>
+  );
+}
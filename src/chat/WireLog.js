@@ -0,0 +1,50 @@
+/**
+ * 회선 디버그 뷰
+ * room 에서 오간 프레임을 원래 내용(plaintext)과 실제로 전달된 값(on the wire)으로 나란히 보여준다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { subscribe, getEntries, clearWireLog } from './wireLog';
+import './Chat.css';
+
+const DIRECTIONS = {
+  up: '⬆ client → server',
+  down: '⬇ server → client',
+};
+
+export const WireLog = ({ roomId, limit = 10 }) => {
+  const entries = useSyncExternalStore(subscribe, getEntries, getEntries);
+  const visibleEntries = entries
+    .filter(entry => roomId === undefined || entry.roomId === roomId)
+    .slice(-limit);
+
+  return (
+    <section className="wire-log" aria-label="Wire log">
+      <header>
+        <b>On the wire</b>{' '}
+        <button onClick={clearWireLog}>Clear</button>
+      </header>
+      <table>
+        <thead>
+          <tr>
+            <th>Direction</th>
+            <th>Plaintext</th>
+            <th>On the wire</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleEntries.map(entry => (
+            <tr key={entry.id} className={entry.encrypted ? 'wire-frame--encrypted' : undefined}>
+              <td>
+                {DIRECTIONS[entry.direction]}
+                {entry.kind === 'handshake' && ' (key exchange)'}
+              </td>
+              <td>{entry.plaintext}</td>
+              <td><code>{entry.payload}</code></td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </section>
+  );
+}
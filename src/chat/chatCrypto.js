@@ -0,0 +1,71 @@
+/**
+ * 채팅 암호화 (WebCrypto)
+ * 암호화 연결은 ECDH(P-256)로 키를 교환해서 AES-GCM 키를 만들고, 메시지마다 새 iv 로 암호화한다.
+ * crypto.subtle 은 secure context(https, localhost)에서만 쓸 수 있다.
+ *
+ * 키 교환 순서
+ * 1. 클라이언트와 서버가 각자 ECDH 키 쌍을 만든다. (private key 는 내보낼 수 없다.)
+ * 2. 공개키를 raw 형식으로 내보내서 서로 주고받는다.
+ * 3. 자신의 private key 와 상대의 공개키로 같은 AES-GCM 키를 만든다. (deriveKey)
+ */
+
+const ECDH = { name: 'ECDH', namedCurve: 'P-256' };
+const AES = { name: 'AES-GCM', length: 256 };
+const IV_LENGTH = 12;
+
+const getSubtle = () => window.crypto?.subtle;
+
+export function isCryptoAvailable() {
+  return getSubtle() !== undefined;
+}
+
+export function toBase64(buffer) {
+  let binary = '';
+  new Uint8Array(buffer).forEach(byte => {
+    binary += String.fromCharCode(byte);
+  });
+  return btoa(binary);
+}
+
+export function fromBase64(text) {
+  return Uint8Array.from(atob(text), char => char.charCodeAt(0));
+}
+
+export function generateKeyPair() {
+  return getSubtle().generateKey(ECDH, false, ['deriveKey']);
+}
+
+// 공개키는 base64 문자열로 주고받는다.
+export async function exportPublicKey(keyPair) {
+  const raw = await getSubtle().exportKey('raw', keyPair.publicKey);
+  return toBase64(raw);
+}
+
+export async function deriveSharedKey(keyPair, peerPublicKey) {
+  const subtle = getSubtle();
+  const publicKey = await subtle.importKey('raw', fromBase64(peerPublicKey), ECDH, false, []);
+  return subtle.deriveKey(
+    { name: 'ECDH', public: publicKey },
+    keyPair.privateKey,
+    AES,
+    false,
+    ['encrypt', 'decrypt'],
+  );
+}
+
+// -> { iv, ciphertext } (둘 다 base64)
+export async function encryptText(key, text) {
+  const iv = window.crypto.getRandomValues(new Uint8Array(IV_LENGTH));
+  const encoded = new TextEncoder().encode(text);
+  const ciphertext = await getSubtle().encrypt({ name: 'AES-GCM', iv }, key, encoded);
+  return { iv: toBase64(iv), ciphertext: toBase64(ciphertext) };
+}
+
+export async function decryptText(key, { iv, ciphertext }) {
+  const decrypted = await getSubtle().decrypt(
+    { name: 'AES-GCM', iv: fromBase64(iv) },
+    key,
+    fromBase64(ciphertext),
+  );
+  return new TextDecoder().decode(decrypted);
+}
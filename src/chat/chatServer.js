@@ -0,0 +1,317 @@
+/**
+ * 공용 mock 채팅 서버
+ * 예제마다 따로 있던 createConnection 들을 이 모듈 하나로 합쳤다.
+ * 브라우저 안(in-process)에서 동작하며, serverUrl 마다 room 들을 갖는다.
+ *
+ * - createChatConnection({ serverUrl, roomId, encrypted, user }) 로 연결 객체를 만든다.
+ *   각 예제는 자신의 createConnection(serverUrl, roomId), createConnection({ serverUrl, roomId }) 등
+ *   원래 모양의 함수를 유지하고, 내부에서 이 함수를 호출한다.
+ * - 연결 객체: connect(), disconnect(), send(text, { clientId }), sendTyping(isTyping), on(event, listener), once(event, listener), off(event, listener)
+ *   보낸 메시지는 보낸 사람에게도 돌아온다. clientId 를 같이 보내면 돌아온 메시지에 그대로 담겨 있어서 전송 확인(ack)으로 쓸 수 있다.
+ *   event: 'connected' | 'message' | 'disconnected' | 'typing' | 'presence' | 'error' 또는 '*' (모든 이벤트)
+ *   이벤트마다 listener 를 여러 개 등록할 수 있고, on/once 는 해제 함수를 돌려준다. (src/chat/createEmitter.js)
+ * - room 에 한 명이라도 있으면 bot 이 들어와서 3초마다 'hey' 또는 'lol' 메시지를 보낸다. (보내기 전에 잠깐 입력 중이라고 알린다.)
+ * - presence: 누가 들어오고 나갈 때마다 room 의 모든 연결에 { type: 'join' | 'leave', user, users } 를 보낸다.
+ * - typing: sendTyping(isTyping) 으로 보낸 상태를 room 의 다른 연결에 { user, isTyping } 로 전달한다.
+ * - 연결/전송 지연과 실패는 네트워크 상태 시뮬레이션(src/network/networkConditions.js)을 따른다.
+ *   연결에 실패하거나 강제로 끊기면 'disconnected' 이벤트가 발생한다.
+ * - encrypted 연결은 연결할 때 ECDH 로 키를 교환하고, 메시지를 AES-GCM 으로 암호화해서 주고받는다. (src/chat/chatCrypto.js)
+ *   회선에 오간 값은 wireLog 에 남는다. (src/chat/wireLog.js, WireLog 컴포넌트)
+ * - 시간과 타이머(연결/전달 지연, bot)는 getClock() 의 시계를 쓴다. 연결은 만들 때의 시계를, bot 은 시작할 때의 시계를 계속 쓴다.
+ */
+
+import { getClock } from '../clock/clock';
+import { getLatency, shouldFail, onForcedDisconnect } from '../network/networkConditions';
+import {
+  isCryptoAvailable,
+  generateKeyPair,
+  exportPublicKey,
+  deriveSharedKey,
+  encryptText,
+  decryptText,
+} from './chatCrypto';
+import { recordWireFrame } from './wireLog';
+import { createEmitter } from './createEmitter';
+import { registerConnection, updateConnection } from './connectionRegistry';
+
+export const DEFAULT_SERVER_URL = 'https://localhost:1234';
+export const DEFAULT_ROOM_ID = 'general';
+export const EVENTS = ['connected', 'message', 'disconnected', 'typing', 'presence', 'error'];
+
+const CONNECT_LATENCY = 100;
+const DELIVERY_LATENCY = 150;
+const BOT_INTERVAL = 3000;
+const BOT_TYPING_DURATION = 1000;
+const BOT_USER = 'bot';
+
+// 전송 방식
+const transports = {
+  unencrypted: { icon: '', label: 'unencrypted' },
+  encrypted: { icon: '🔐 ', label: 'encrypted' },
+};
+
+// `${serverUrl} ${roomId}` -> { serverUrl, roomId, members: Set, botClock, botIntervalId, botTimeoutId }
+const rooms = new Map();
+let nextMessageId = 0;
+
+function getRoom(serverUrl, roomId) {
+  const key = `${serverUrl} ${roomId}`;
+  if (!rooms.has(key)) {
+    rooms.set(key, { serverUrl, roomId, members: new Set(), botClock: null, botIntervalId: null, botTimeoutId: null });
+  }
+  return rooms.get(key);
+}
+
+// room 에 있는 사용자 목록. 같은 이름으로 여러 번 연결해도 한 번만 나온다.
+function getUsers(room) {
+  const users = [...room.members].map(member => member.user);
+  if (room.botIntervalId !== null) {
+    users.unshift(BOT_USER);
+  }
+  return [...new Set(users)];
+}
+
+function notifyPresence(room, type, user) {
+  const users = getUsers(room);
+  room.members.forEach(member => member.presence({ type, user, users }));
+}
+
+function notifyTyping(room, sender, isTyping) {
+  room.members.forEach(member => {
+    if (member !== sender) {
+      member.typing({ user: sender?.user ?? BOT_USER, isTyping });
+    }
+  });
+}
+
+function joinRoom(room, member) {
+  room.members.add(member);
+  if (room.botIntervalId === null) {
+    const clock = getClock();
+    room.botClock = clock;
+    room.botIntervalId = clock.setInterval(() => {
+      notifyTyping(room, null, true);
+      room.botTimeoutId = clock.setTimeout(() => {
+        notifyTyping(room, null, false);
+        broadcast(room.serverUrl, room.roomId, {
+          author: BOT_USER,
+          text: Math.random() > 0.5 ? 'hey' : 'lol',
+        });
+      }, BOT_TYPING_DURATION);
+    }, BOT_INTERVAL - BOT_TYPING_DURATION);
+  }
+  notifyPresence(room, 'join', member.user);
+}
+
+function leaveRoom(room, member) {
+  room.members.delete(member);
+  if (room.members.size === 0) {
+    room.botClock.clearInterval(room.botIntervalId);
+    room.botClock.clearTimeout(room.botTimeoutId);
+    room.botClock = null;
+    room.botIntervalId = null;
+    room.botTimeoutId = null;
+    return;
+  }
+  // 입력 중에 나갔다면 입력 표시를 지운다.
+  notifyTyping(room, member, false);
+  notifyPresence(room, 'leave', member.user);
+}
+
+// 서버 쪽에서 room 의 모든 연결에 메시지를 보낸다.
+export function broadcast(serverUrl, roomId, { author, text, clientId = null }) {
+  const room = getRoom(serverUrl, roomId);
+  const message = {
+    id: nextMessageId++,
+    roomId,
+    author,
+    text,
+    clientId,
+    time: getClock().now(),
+  };
+  room.members.forEach(member => member.receive(message));
+  return message;
+}
+
+// 서버 쪽에서 모든 연결을 끊는다.
+export function dropAllConnections() {
+  rooms.forEach(room => {
+    [...room.members].forEach(member => member.drop());
+  });
+}
+
+onForcedDisconnect(dropAllConnections);
+
+// 클라이언트와 서버가 각자 키 쌍을 만들고 공개키를 주고받아서 같은 AES-GCM 키를 만든다.
+// -> { client, server } 양쪽이 각자 만든 키
+async function exchangeKeys(serverUrl, roomId) {
+  const [clientKeyPair, serverKeyPair] = await Promise.all([generateKeyPair(), generateKeyPair()]);
+  const frame = { serverUrl, roomId, kind: 'handshake', encrypted: false, plaintext: 'ECDH P-256 public key' };
+
+  const clientPublicKey = await exportPublicKey(clientKeyPair);
+  recordWireFrame({ ...frame, direction: 'up', payload: clientPublicKey });
+  const serverPublicKey = await exportPublicKey(serverKeyPair);
+  recordWireFrame({ ...frame, direction: 'down', payload: serverPublicKey });
+
+  const [client, server] = await Promise.all([
+    deriveSharedKey(clientKeyPair, serverPublicKey),
+    deriveSharedKey(serverKeyPair, clientPublicKey),
+  ]);
+  return { client, server };
+}
+
+export function createChatConnection({
+  serverUrl = DEFAULT_SERVER_URL,
+  roomId = DEFAULT_ROOM_ID,
+  encrypted = false,
+  user = 'me',
+} = {}) {
+  if (typeof serverUrl !== 'string') {
+    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
+  }
+  if (typeof roomId !== 'string') {
+    throw Error('Expected roomId to be a string. Received: ' + roomId);
+  }
+
+  const transport = encrypted ? transports.encrypted : transports.unencrypted;
+  const clock = getClock();
+  const room = getRoom(serverUrl, roomId);
+  const registryId = registerConnection({ transport: 'mock', serverUrl, roomId, encrypted });
+  const { emit, on, once, off } = createEmitter(EVENTS, {
+    onListenersChange: listenerCount => updateConnection(registryId, { listenerCount }),
+  });
+  let timeoutId = null;
+  let isConnected = false;
+  // connect/disconnect 할 때마다 늘어난다. 키 교환이 끝났을 때 이미 끊긴 연결인지 확인한다.
+  let connectionId = 0;
+  let keys = null;
+  // 암호화/복호화는 비동기라서 방향마다 순서대로 처리한다.
+  const wireQueues = { up: Promise.resolve(), down: Promise.resolve() };
+
+  // text 를 회선으로 보내고, 받는 쪽에서 얻은 text 로 deliver 를 호출한다.
+  // direction: 'up' (클라이언트 -> 서버) | 'down' (서버 -> 클라이언트)
+  function transmit(direction, text, deliver) {
+    const frame = { serverUrl, roomId, direction, kind: 'message', plaintext: text };
+    if (!keys) {
+      recordWireFrame({ ...frame, encrypted: false, payload: text });
+      deliver(text);
+      return;
+    }
+    const [senderKey, receiverKey] = direction === 'up'
+      ? [keys.client, keys.server]
+      : [keys.server, keys.client];
+    wireQueues[direction] = wireQueues[direction]
+      .then(async () => {
+        const encrypted = await encryptText(senderKey, text);
+        recordWireFrame({ ...frame, encrypted: true, payload: `${encrypted.iv}:${encrypted.ciphertext}` });
+        deliver(await decryptText(receiverKey, encrypted));
+      })
+      .catch(error => emit('error', error));
+  }
+
+  // room 에 등록되는 멤버. 서버가 메시지를 보낼 때 receive 를 호출한다.
+  const member = {
+    user,
+    presence(event) {
+      emit('presence', event);
+    },
+    typing(event) {
+      emit('typing', event);
+    },
+    receive(message) {
+      transmit('down', message.text, text => {
+        if (isConnected) {
+          emit('message', text, { ...message, text });
+        }
+      });
+    },
+    drop() {
+      console.log(`⚡ ${transport.icon}Connection to "${roomId}" room at ${serverUrl} dropped (${transport.label})`);
+      isConnected = false;
+      leaveRoom(room, member);
+      updateConnection(registryId, { state: 'closed', closedAt: clock.now() });
+      emit('disconnected');
+    },
+  };
+
+  return {
+    connect() {
+      console.log(`✅ ${transport.icon}Connecting to "${roomId}" room at ${serverUrl}... (${transport.label})`);
+      clock.clearTimeout(timeoutId);
+      updateConnection(registryId, { state: 'connecting' });
+      const willFail = shouldFail();
+      const id = ++connectionId;
+      // 연결하지 못하면 'error' 다음에 'disconnected' 를 보내서 재연결하게 한다.
+      function failToConnect(error) {
+        console.log(`⚠️ ${transport.icon}Failed to connect to "${roomId}" room at ${serverUrl} (${transport.label})`);
+        emit('error', error);
+        updateConnection(registryId, { state: 'closed', closedAt: clock.now() });
+        emit('disconnected');
+      }
+      timeoutId = clock.setTimeout(async () => {
+        if (willFail) {
+          failToConnect(Error(`Failed to connect to "${roomId}" room at ${serverUrl}.`));
+          return;
+        }
+        if (encrypted) {
+          if (!isCryptoAvailable()) {
+            failToConnect(Error('WebCrypto (crypto.subtle) is not available. Encrypted connections need a secure context (https or localhost).'));
+            return;
+          }
+          let nextKeys;
+          try {
+            nextKeys = await exchangeKeys(serverUrl, roomId);
+          } catch (error) {
+            if (id === connectionId) {
+              failToConnect(Error(`Key exchange with "${roomId}" room at ${serverUrl} failed: ${error.message}`));
+            }
+            return;
+          }
+          // 키를 교환하는 동안 disconnect 됐다.
+          if (id !== connectionId) {
+            return;
+          }
+          keys = nextKeys;
+        }
+        isConnected = true;
+        updateConnection(registryId, { state: 'open', openedAt: clock.now() });
+        joinRoom(room, member);
+        emit('connected');
+      }, getLatency(CONNECT_LATENCY));
+    },
+    disconnect() {
+      clock.clearTimeout(timeoutId);
+      connectionId++;
+      updateConnection(registryId, { state: 'closed', closedAt: clock.now() });
+      console.log(`❌ ${transport.icon}Disconnected from "${roomId}" room at ${serverUrl} (${transport.label})`);
+      if (isConnected) {
+        isConnected = false;
+        leaveRoom(room, member);
+        emit('disconnected');
+      }
+    },
+    send(text, { clientId = null } = {}) {
+      if (!isConnected) {
+        throw Error(`Cannot send a message before connecting to "${roomId}".`);
+      }
+      // 실패하면 메시지가 유실된다. (전송 확인이 오지 않는다.)
+      if (shouldFail()) {
+        return;
+      }
+      transmit('up', text, received => {
+        clock.setTimeout(() => {
+          broadcast(serverUrl, roomId, { author: user, text: received, clientId });
+        }, getLatency(DELIVERY_LATENCY));
+      });
+    },
+    // 입력 중 상태는 연결돼 있을 때만 보낸다. (연결 전/후에 보내면 무시한다.)
+    sendTyping(isTyping) {
+      if (isConnected) {
+        notifyTyping(room, member, isTyping);
+      }
+    },
+    on,
+    once,
+    off,
+  };
+}
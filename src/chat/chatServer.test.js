@@ -0,0 +1,27 @@
+import { waitFor } from '@testing-library/react';
+import { installGlobal } from '../testUtils';
+import { createChatConnection } from './chatServer';
+
+test('encrypted connections that cannot exchange keys disconnect so they are retried', async () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  const connect = () => {
+    const connection = createChatConnection({ roomId: 'key-exchange-test', encrypted: true });
+    const events = [];
+    connection.on('*', (event, error) => events.push(event === 'error' ? `error: ${error.message}` : event));
+    connection.connect();
+    return events;
+  };
+
+  jest.spyOn(window.crypto.subtle, 'generateKey').mockRejectedValue(Error('boom'));
+  const failedEvents = connect();
+  await waitFor(() => expect(failedEvents).toContain('disconnected'));
+  expect(failedEvents).toEqual([
+    'error: Key exchange with "key-exchange-test" room at https://localhost:1234 failed: boom',
+    'disconnected',
+  ]);
+
+  installGlobal('crypto', {});
+  const unavailableEvents = connect();
+  await waitFor(() => expect(unavailableEvents).toContain('disconnected'));
+  expect(unavailableEvents[0]).toMatch(/^error: WebCrypto \(crypto.subtle\) is not available/);
+});
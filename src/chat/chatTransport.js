@@ -0,0 +1,76 @@
+/**
+ * 채팅 예제들이 사용할 전송 방식 설정
+ * - 'mock': 브라우저 안의 mock 채팅 서버 (src/chat/chatServer.js)
+ * - 'websocket': 로컬 WebSocket 서버 (npm run chat-server)
+ * 설정은 localStorage 에 저장되고, useSyncExternalStore 로 구독한다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { createChatConnection } from './chatServer';
+import { createWebSocketConnection } from './webSocketConnection';
+
+export const TRANSPORTS = {
+  mock: createChatConnection,
+  websocket: createWebSocketConnection,
+};
+
+const STORAGE_KEY = 'chat-transport';
+const listeners = new Set();
+
+function readStoredTransport() {
+  try {
+    const stored = window.localStorage.getItem(STORAGE_KEY);
+    return stored in TRANSPORTS ? stored : 'mock';
+  } catch {
+    return 'mock';
+  }
+}
+
+let transport = readStoredTransport();
+
+export function getChatTransport() {
+  return transport;
+}
+
+export function setChatTransport(nextTransport) {
+  if (!(nextTransport in TRANSPORTS)) {
+    throw Error('Unknown transport: ' + nextTransport);
+  }
+  transport = nextTransport;
+  try {
+    window.localStorage.setItem(STORAGE_KEY, nextTransport);
+  } catch {
+    // 저장하지 못해도 현재 탭에서는 동작한다.
+  }
+  listeners.forEach(listener => listener());
+}
+
+function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export const useChatTransport = () => {
+  return useSyncExternalStore(subscribe, getChatTransport, () => 'mock');
+}
+
+export function createConnectionForTransport(transportName, options) {
+  const createConnection = TRANSPORTS[transportName];
+  if (!createConnection) {
+    throw Error('Unknown transport: ' + transportName);
+  }
+  return createConnection(options);
+}
+
+export const ChatTransportSelect = () => {
+  const current = useChatTransport();
+  return (
+    <label>
+      Chat transport:{' '}
+      <select value={current} onChange={e => setChatTransport(e.target.value)}>
+        <option value="mock">mock (in-process)</option>
+        <option value="websocket">WebSocket (npm run chat-server)</option>
+      </select>
+    </label>
+  );
+}
@@ -0,0 +1,95 @@
+/**
+ * 연결 registry
+ * createChatConnection, createWebSocketConnection 으로 만든 모든 연결을 기록한다. (연결 inspector 에서 보여준다.)
+ * 각 예제의 createConnection 들은 모두 이 두 함수를 거치므로 따로 등록할 필요가 없다.
+ *
+ * connection: { id, transport, serverUrl, roomId, encrypted, state, createdAt, openedAt, closedAt, listenerCount, owner, isOwnerCleanedUp }
+ * - state: 'idle' (만들기만 함) | 'connecting' | 'open' | 'closed'
+ * - owner: 연결을 만든 effect { source, kind, effectId, component } (effect 밖에서 만들었거나 effect tracing 을 설치하지 않았으면 null)
+ * - isOwnerCleanedUp: owner effect 가 정리됐는지. 정리됐는데도 연결 중이거나 열려 있는 연결은 새고 있는(leak) 연결이다.
+ */
+
+import { getClock } from '../clock/clock';
+import { getCurrentEffect, onEffectCleanup } from '../gallery/effectTracing';
+
+const MAX_CLOSED_CONNECTIONS = 50;
+
+let connections = [];
+let nextId = 0;
+const listeners = new Set();
+
+// 연결은 effect, 타이머, 이벤트 핸들러에서 만들고 바뀌므로(렌더링 중이 아니므로) 바로 알린다.
+function emitChange() {
+  listeners.forEach(listener => listener());
+}
+
+// 오래된 닫힌 연결부터 지운다.
+function prune(list) {
+  const closedCount = list.filter(connection => connection.state === 'closed').length;
+  let excess = closedCount - MAX_CLOSED_CONNECTIONS;
+  if (excess <= 0) return list;
+  return list.filter(connection => {
+    if (excess > 0 && connection.state === 'closed') {
+      excess -= 1;
+      return false;
+    }
+    return true;
+  });
+}
+
+export function registerConnection({ transport, serverUrl, roomId, encrypted }) {
+  const id = nextId++;
+  connections = prune([
+    ...connections,
+    {
+      id,
+      transport,
+      serverUrl,
+      roomId,
+      encrypted,
+      state: 'idle',
+      createdAt: getClock().now(),
+      openedAt: null,
+      closedAt: null,
+      listenerCount: 0,
+      owner: getCurrentEffect(),
+      isOwnerCleanedUp: false,
+    },
+  ]);
+  emitChange();
+  return id;
+}
+
+export function updateConnection(id, fields) {
+  connections = prune(connections.map(connection =>
+    connection.id === id ? { ...connection, ...fields } : connection
+  ));
+  emitChange();
+}
+
+// 만들기만 하고 연결하지 않은('idle') 연결은 열린 적이 없으므로 새지 않는다.
+export function isLeaked(connection) {
+  return connection.isOwnerCleanedUp && (connection.state === 'connecting' || connection.state === 'open');
+}
+
+export function clearClosedConnections() {
+  connections = connections.filter(connection => connection.state !== 'closed');
+  emitChange();
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getConnections() {
+  return connections;
+}
+
+onEffectCleanup(effect => {
+  if (!connections.some(connection => connection.owner === effect)) return;
+  connections = connections.map(connection =>
+    connection.owner === effect ? { ...connection, isOwnerCleanedUp: true } : connection
+  );
+  emitChange();
+});
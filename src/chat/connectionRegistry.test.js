@@ -0,0 +1,10 @@
+import { isLeaked } from './connectionRegistry';
+
+test('only connections still connecting or open after their effect cleaned up are leaks', () => {
+  const connection = { isOwnerCleanedUp: true };
+  expect(isLeaked({ ...connection, state: 'idle' })).toBe(false);
+  expect(isLeaked({ ...connection, state: 'connecting' })).toBe(true);
+  expect(isLeaked({ ...connection, state: 'open' })).toBe(true);
+  expect(isLeaked({ ...connection, state: 'closed' })).toBe(false);
+  expect(isLeaked({ isOwnerCleanedUp: false, state: 'open' })).toBe(false);
+});
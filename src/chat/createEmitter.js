@@ -0,0 +1,100 @@
+/**
+ * 연결 객체가 쓰는 이벤트 emitter
+ * 이벤트마다 listener 를 여러 개 등록할 수 있어서, 알림/안 읽은 메시지 수/대화 기록 같은 여러 hook 이 한 연결을 같이 구독할 수 있다.
+ *
+ * - on(event, listener): listener 를 등록하고, 해제하는 함수를 돌려준다.
+ *   event 가 '*' 이면 모든 이벤트를 listener(event, ...args) 로 받는다.
+ * - once(event, listener): 한 번 호출되면 스스로 해제된다.
+ * - off(event, listener): on/once 로 등록한 listener 를 해제한다.
+ * - emit(event, ...args)
+ * - listenerCount(): 등록된 listener 수
+ *
+ * onListenersChange(count) 를 넘기면 listener 수가 바뀔 때마다 호출한다. (연결 inspector)
+ *
+ * events 에 없는 이름으로 구독하면 에러를 던진다.
+ * listener 가 던진 에러는 'error' 이벤트로 전달한다. ('error' listener 가 없으면 console.error 로 남긴다.)
+ */
+
+export const WILDCARD = '*';
+
+export function createEmitter(events, { onListenersChange } = {}) {
+  // event -> [{ listener, once }]
+  const listeners = new Map();
+
+  function listenerCount() {
+    let count = 0;
+    listeners.forEach(entries => {
+      count += entries.length;
+    });
+    return count;
+  }
+
+  function check(event) {
+    if (event !== WILDCARD && !events.includes(event)) {
+      throw Error(`Unknown event "${event}". Supported events: ${events.join(', ')}, ${WILDCARD}`);
+    }
+  }
+
+  function add(event, listener, once) {
+    check(event);
+    if (typeof listener !== 'function') {
+      throw Error(`Expected the "${event}" listener to be a function. Received: ${listener}`);
+    }
+    const entry = { listener, once };
+    listeners.set(event, [...(listeners.get(event) ?? []), entry]);
+    onListenersChange?.(listenerCount());
+    // 같은 함수를 여러 번 등록했어도 이 등록만 해제한다.
+    return () => remove(event, entry);
+  }
+
+  function remove(event, entry) {
+    const entries = listeners.get(event) ?? [];
+    if (entries.includes(entry)) {
+      listeners.set(event, entries.filter(e => e !== entry));
+      onListenersChange?.(listenerCount());
+    }
+  }
+
+  function off(event, listener) {
+    check(event);
+    // 같은 listener 를 여러 번 등록했다면 하나만 해제한다.
+    const entry = (listeners.get(event) ?? []).find(entry => entry.listener === listener);
+    if (entry) {
+      remove(event, entry);
+    }
+  }
+
+  function call(event, entry, args) {
+    if (entry.once) {
+      remove(event, entry);
+    }
+    try {
+      entry.listener(...args);
+    } catch (error) {
+      reportError(event, error);
+    }
+  }
+
+  function reportError(event, error) {
+    const hasErrorListeners = (listeners.get('error') ?? []).length > 0;
+    if (event === 'error' || !hasErrorListeners) {
+      console.error(error);
+      return;
+    }
+    emit('error', error);
+  }
+
+  function emit(event, ...args) {
+    // 호출 도중에 등록/해제돼도 이번 emit 은 처음 목록대로 호출한다.
+    (listeners.get(event) ?? []).forEach(entry => call(event, entry, args));
+    (listeners.get(WILDCARD) ?? []).forEach(entry => call(WILDCARD, entry, [event, ...args]));
+  }
+
+  return {
+    on: (event, listener) => add(event, listener, false),
+    once: (event, listener) => add(event, listener, true),
+    off,
+    emit,
+    listenerCount,
+  };
+}
@@ -0,0 +1,51 @@
+import { createEmitter } from './createEmitter';
+
+test('emitter calls every listener and removes them with off or the returned function', () => {
+  const onListenersChange = jest.fn();
+  const { on, off, emit, listenerCount } = createEmitter(['message', 'error'], { onListenersChange });
+  const calls = [];
+  const first = text => calls.push(`first ${text}`);
+  const second = text => calls.push(`second ${text}`);
+  const unsubscribe = on('message', first);
+  on('message', second);
+  on('*', (event, text) => calls.push(`* ${event} ${text}`));
+  emit('message', 'a');
+  expect(calls).toEqual(['first a', 'second a', '* message a']);
+  expect(onListenersChange).toHaveBeenLastCalledWith(3);
+
+  unsubscribe();
+  off('message', second);
+  emit('message', 'b');
+  expect(calls.slice(3)).toEqual(['* message b']);
+  expect(listenerCount()).toBe(1);
+
+  expect(() => on('typo', first)).toThrow('Unknown event "typo". Supported events: message, error, *');
+  expect(() => off('typo', first)).toThrow('Unknown event "typo"');
+  expect(() => emit('typo')).not.toThrow();
+});
+
+test('emitter once fires a single time without removing other registrations of the same listener', () => {
+  const { on, once, emit, listenerCount } = createEmitter(['message', 'error']);
+  const listener = jest.fn();
+  const unsubscribe = on('message', listener);
+  once('message', listener);
+  emit('message', 'a');
+  emit('message', 'b');
+  expect(listener.mock.calls).toEqual([['a'], ['a'], ['b']]);
+  expect(listenerCount()).toBe(1);
+  // 남은 것은 on 으로 등록한 것이다.
+  unsubscribe();
+  expect(listenerCount()).toBe(0);
+
+  // 먼저 once 로, 다음에 on 으로 등록하면 once 가 한 번 불린 뒤 on 이 남는다.
+  listener.mockClear();
+  once('message', listener);
+  const unsubscribeOn = on('message', listener);
+  emit('message', 'c');
+  expect(listener.mock.calls).toEqual([['c'], ['c']]);
+  expect(listenerCount()).toBe(1);
+  emit('message', 'd');
+  expect(listener.mock.calls).toEqual([['c'], ['c'], ['d']]);
+  unsubscribeOn();
+  expect(listenerCount()).toBe(0);
+});
@@ -0,0 +1,107 @@
+/**
+ * useChatRoom
+ * ReusingLogicWithCustomHooks 에서 추출한 hook 을 여러 채팅 예제에서 쓰도록 옮겼다.
+ * roomId, serverUrl, encrypted, transport 가 바뀌면 다시 연결한다.
+ * onReceiveMessage 는 바뀌어도 다시 연결하지 않는다. (useEffectEvent)
+ *
+ * 연결이 끊어지면(직접 끊은 게 아니라면) exponential backoff + jitter 로 다시 연결을 시도한다.
+ * 오프라인일 때는 연결하지 않고 기다렸다가, 온라인이 되면 바로 연결한다.
+ * 재연결 타이머는 useClock() 의 시계로 건다.
+ *
+ * 반환값
+ * - status: 'connecting' | 'connected' | 'reconnecting' | 'offline'
+ * - sendMessage(text, { clientId }): 연결되어 있지 않으면 보내지 않고 false 를 반환한다.
+ * - connection: 지금 쓰고 있는 연결 객체 (오프라인이면 null)
+ *   usePresence, useTypingUsers 같은 hook 이 같은 연결의 다른 이벤트를 구독할 때 쓴다.
+ */
+
+import { useCallback, useEffect, useRef, useState } from 'react';
+import { useClock } from '../clock/useClock';
+import { useEffectEvent } from '../hooks/useEffectEvent';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { DEFAULT_SERVER_URL } from './chatServer';
+import { createConnectionForTransport, useChatTransport } from './chatTransport';
+
+export const RECONNECT_BASE_DELAY = 1000;
+export const RECONNECT_MAX_DELAY = 30000;
+
+// attempt 번째(0 부터) 재시도까지 기다릴 시간.
+// 1s, 2s, 4s, ... 로 늘리되 최대값을 넘지 않고,
+// 여러 클라이언트가 동시에 재접속하지 않도록 절반은 무작위로 흩뜨린다. (equal jitter)
+export function getReconnectDelay(attempt, random = Math.random) {
+  const delay = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+  return delay / 2 + random() * (delay / 2);
+}
+
+export const useChatRoom = ({
+  serverUrl = DEFAULT_SERVER_URL,
+  roomId,
+  encrypted = false,
+  transport: transportOption,
+  onReceiveMessage,
+}) => {
+  const defaultTransport = useChatTransport();
+  const transport = transportOption ?? defaultTransport;
+  const isOnline = useOnlineStatus();
+  const clock = useClock();
+  const [status, setStatus] = useState(isOnline ? 'connecting' : 'offline');
+  const onMessage = useEffectEvent((text, message) => onReceiveMessage?.(text, message));
+  const connectionRef = useRef(null);
+  const [connection, setConnection] = useState(null);
+
+  // 오프라인이 되면 연결을 정리하고, 온라인이 되면 새로 연결한다.
+  useEffect(() => {
+    if (!isOnline) {
+      setStatus('offline');
+      setConnection(null);
+      return;
+    }
+
+    const connection = createConnectionForTransport(transport, { serverUrl, roomId, encrypted });
+    let attempt = 0;
+    let retryTimeoutId = null;
+    let isActive = true;
+
+    connection.on('message', onMessage);
+    connection.on('connected', () => {
+      attempt = 0;
+      setStatus('connected');
+    });
+    connection.on('disconnected', () => {
+      // cleanup 에서 직접 끊은 경우
+      if (!isActive) return;
+
+      const delay = getReconnectDelay(attempt);
+      attempt += 1;
+      setStatus('reconnecting');
+      console.log(`🔁 Reconnecting to "${roomId}" in ${Math.round(delay)}ms (attempt ${attempt})`);
+      retryTimeoutId = clock.setTimeout(() => connection.connect(), delay);
+    });
+    // 연결 실패 등은 재연결로 처리하므로 경고만 남긴다.
+    connection.on('error', error => console.warn(error.message));
+
+    setStatus('connecting');
+    connection.connect();
+    connectionRef.current = connection;
+    setConnection(connection);
+
+    return () => {
+      isActive = false;
+      clock.clearTimeout(retryTimeoutId);
+      connection.disconnect();
+      connectionRef.current = null;
+    };
+  }, [transport, serverUrl, roomId, encrypted, isOnline, clock]);
+
+  const sendMessage = useCallback((text, options) => {
+    try {
+      connectionRef.current?.send(text, options);
+      return connectionRef.current !== null;
+    } catch (error) {
+      console.warn(error.message);
+      return false;
+    }
+  }, []);
+
+  return { status, sendMessage, connection };
+}
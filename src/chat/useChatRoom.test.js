@@ -0,0 +1,57 @@
+import { render, screen, act } from '@testing-library/react';
+import { installManualClock } from '../testUtils';
+import { setSimulatedOnlineStatus } from '../hooks/useOnlineStatus';
+import { forceDisconnect } from '../network/networkConditions';
+import { useChatRoom, getReconnectDelay, RECONNECT_BASE_DELAY, RECONNECT_MAX_DELAY } from './useChatRoom';
+
+afterEach(() => {
+  setSimulatedOnlineStatus(null);
+});
+
+test('reconnect delays double per attempt with up to half of them jittered away', () => {
+  expect(getReconnectDelay(0, () => 0)).toBe(RECONNECT_BASE_DELAY / 2);
+  expect(getReconnectDelay(0, () => 1)).toBe(RECONNECT_BASE_DELAY);
+  expect(getReconnectDelay(3, () => 0.5)).toBe(8000 * 0.75);
+  for (let attempt = 0; attempt < 20; attempt++) {
+    const max = Math.min(RECONNECT_MAX_DELAY, RECONNECT_BASE_DELAY * 2 ** attempt);
+    const delay = getReconnectDelay(attempt);
+    expect(delay).toBeGreaterThanOrEqual(max / 2);
+    expect(delay).toBeLessThanOrEqual(max);
+  }
+  expect(getReconnectDelay(20, () => 1)).toBe(RECONNECT_MAX_DELAY);
+});
+
+test('useChatRoom reconnects after the server drops it and waits while offline', () => {
+  const clock = installManualClock();
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  // jitter 없이 가장 짧은 지연으로 다시 연결한다.
+  jest.spyOn(Math, 'random').mockReturnValue(0);
+  const ChatStatus = () => {
+    const { status } = useChatRoom({ roomId: 'reconnect-test' });
+    return <p>status: {status}</p>;
+  };
+  render(<ChatStatus />);
+  expect(screen.getByText('status: connecting')).toBeInTheDocument();
+  act(() => clock.advance(100));
+  expect(screen.getByText('status: connected')).toBeInTheDocument();
+
+  act(() => forceDisconnect());
+  expect(screen.getByText('status: reconnecting')).toBeInTheDocument();
+  act(() => clock.advance(RECONNECT_BASE_DELAY / 2 + 100));
+  expect(screen.getByText('status: connected')).toBeInTheDocument();
+
+  // 다시 끊긴 뒤 재연결을 기다리는 동안 오프라인이 되면 재연결하지 않는다.
+  act(() => forceDisconnect());
+  act(() => setSimulatedOnlineStatus(false));
+  expect(screen.getByText('status: offline')).toBeInTheDocument();
+  const connectCount = () => console.log.mock.calls.filter(([line]) => line.startsWith('✅')).length;
+  const connectsWhileOffline = connectCount();
+  act(() => clock.advance(RECONNECT_MAX_DELAY));
+  expect(connectCount()).toBe(connectsWhileOffline);
+  expect(screen.getByText('status: offline')).toBeInTheDocument();
+
+  act(() => setSimulatedOnlineStatus(true));
+  expect(screen.getByText('status: connecting')).toBeInTheDocument();
+  act(() => clock.advance(100));
+  expect(screen.getByText('status: connected')).toBeInTheDocument();
+});
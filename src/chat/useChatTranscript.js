@@ -0,0 +1,176 @@
+/**
+ * useChatTranscript
+ * useChatRoom 위에 room 별 대화 기록(transcript)을 쌓는다.
+ * - transcript 는 room 별로 reducer 에 저장되므로, 컴포넌트가 유지되는 동안 room 을 바꿨다 돌아와도 남아있다.
+ * - 보낸 메시지는 바로 'sending' 으로 추가하고(낙관적 업데이트), 서버에서 같은 clientId 의 메시지가 돌아오면 'delivered' 로 바꾼다.
+ * - ACK_TIMEOUT 안에 돌아오지 않거나, 연결되어 있지 않으면 'failed' 가 되고 retry 로 다시 보낼 수 있다.
+ *   ACK_TIMEOUT 타이머는 useClock() 의 시계로 걸고, 전송 확인이 오거나 retry 하거나 unmount 되면 지운다.
+ * - send(text) 는 바로 보내지 않고 outbox 에 넣는다. undoWindow ms 안에는 되돌릴 수 있다. (src/hooks/useOutbox.js)
+ *   outbox 에 있는 동안 room 을 옮기거나, 보낼 때 연결되어 있지 않으면 outbox 에 실패로 남기고 console 에 경고한다.
+ *   (retry 하면 다시 보낸다.) unmount 될 때 기다리던 메시지는 연결을 끊기 전에 보낸다.
+ */
+
+import { useEffect, useReducer, useRef } from 'react';
+import { useClock } from '../clock/useClock';
+import { DEFAULT_SERVER_URL } from './chatServer';
+import { useChatRoom } from './useChatRoom';
+import { useOutbox, UNDO_WINDOW } from '../hooks/useOutbox';
+
+export const ACK_TIMEOUT = 5000;
+
+let nextClientId = 0;
+const createClientId = () => `${Date.now().toString(36)}-${nextClientId++}`;
+const getRoomKey = (serverUrl, roomId) => `${serverUrl} ${roomId}`;
+
+export function transcriptsReducer(transcripts, action) {
+  const messages = transcripts[action.roomKey] ?? [];
+  switch (action.type) {
+    case 'sent': {
+      return {
+        ...transcripts,
+        [action.roomKey]: [...messages, {
+          clientId: action.clientId,
+          author: 'me',
+          text: action.text,
+          time: action.time,
+          isOwn: true,
+          status: 'sending',
+        }],
+      };
+    }
+    case 'received': {
+      const { message } = action;
+      const isAck = message.clientId !== null && messages.some(m => m.isOwn && m.clientId === message.clientId);
+      if (isAck) {
+        return {
+          ...transcripts,
+          [action.roomKey]: messages.map(m => m.isOwn && m.clientId === message.clientId
+            ? { ...message, isOwn: true, status: 'delivered' }
+            : m
+          ),
+        };
+      }
+      return {
+        ...transcripts,
+        [action.roomKey]: [...messages, { ...message, isOwn: false, status: 'received' }],
+      };
+    }
+    case 'failed':
+    case 'retried': {
+      const status = action.type === 'failed' ? 'failed' : 'sending';
+      return {
+        ...transcripts,
+        // 이미 전송 확인된 메시지는 그대로 둔다.
+        [action.roomKey]: messages.map(m => m.isOwn && m.clientId === action.clientId && m.status !== 'delivered'
+          ? { ...m, status }
+          : m
+        ),
+      };
+    }
+    default: {
+      throw Error('Unknown action: ' + action.type);
+    }
+  }
+}
+
+export const useChatTranscript = ({
+  serverUrl = DEFAULT_SERVER_URL,
+  roomId,
+  encrypted,
+  transport,
+  onReceiveMessage,
+  undoWindow = UNDO_WINDOW,
+}) => {
+  const [transcripts, dispatch] = useReducer(transcriptsReducer, {});
+  const roomKey = getRoomKey(serverUrl, roomId);
+  const clock = useClock();
+  // clientId -> 전송 확인을 기다리는 timeoutId
+  const ackTimeoutsRef = useRef(new Map());
+
+  function clearAckTimeout(clientId) {
+    const ackTimeouts = ackTimeoutsRef.current;
+    if (ackTimeouts.has(clientId)) {
+      clock.clearTimeout(ackTimeouts.get(clientId));
+      ackTimeouts.delete(clientId);
+    }
+  }
+
+  // useChatRoom 보다 먼저 선언한다. unmount 될 때 effect 의 cleanup 은 선언한 순서로 실행되므로,
+  // outbox 가 기다리던 메시지를 보내는(flush) 동안에는 아직 연결이 끊기지 않았다.
+  const outbox = useOutbox({
+    undoWindow,
+    send(payload) {
+      if (payload.roomKey !== roomKey) {
+        throw new Error('You left the room before it was sent.');
+      }
+      const clientId = createClientId();
+      // 연결되어 있지 않으면 대화 기록에 넣지 않고 outbox 에 실패로 남긴다.
+      if (!sendMessage(payload.text, { clientId })) {
+        throw new Error('Not connected to the room.');
+      }
+      dispatch({ type: 'sent', roomKey, clientId, text: payload.text, time: clock.now() });
+      waitForAck(clientId);
+    },
+    onError(error, { text }) {
+      console.warn(`Could not send "${text}": ${error.message}`);
+    },
+  });
+
+  const { status, sendMessage, connection } = useChatRoom({
+    serverUrl,
+    roomId,
+    encrypted,
+    transport,
+    onReceiveMessage(text, message) {
+      if (message.clientId !== null) {
+        clearAckTimeout(message.clientId);
+      }
+      dispatch({ type: 'received', roomKey: getRoomKey(serverUrl, message.roomId), message });
+      onReceiveMessage?.(text, message);
+    },
+  });
+
+  function waitForAck(clientId) {
+    ackTimeoutsRef.current.set(clientId, clock.setTimeout(() => {
+      ackTimeoutsRef.current.delete(clientId);
+      dispatch({ type: 'failed', roomKey, clientId });
+    }, ACK_TIMEOUT));
+  }
+
+  function deliver(clientId, text) {
+    if (!sendMessage(text, { clientId })) {
+      dispatch({ type: 'failed', roomKey, clientId });
+      return;
+    }
+    waitForAck(clientId);
+  }
+
+  useEffect(() => {
+    const ackTimeouts = ackTimeoutsRef.current;
+    return () => {
+      ackTimeouts.forEach(timeoutId => clock.clearTimeout(timeoutId));
+      ackTimeouts.clear();
+    };
+  }, [clock]);
+
+  function send(text) {
+    outbox.enqueue({ roomKey, text });
+  }
+
+  function retry(clientId) {
+    const message = transcripts[roomKey]?.find(m => m.isOwn && m.clientId === clientId);
+    if (!message) return;
+    clearAckTimeout(clientId);
+    dispatch({ type: 'retried', roomKey, clientId });
+    deliver(clientId, message.text);
+  }
+
+  return {
+    status,
+    connection,
+    messages: transcripts[roomKey] ?? [],
+    send,
+    retry,
+    outbox,
+  };
+}
@@ -0,0 +1,40 @@
+/**
+ * usePresence
+ * 연결의 'presence' 이벤트를 구독해서 room 에 있는 사람과 최근 입장/퇴장 기록을 돌려준다.
+ * connection 은 useChatRoom(또는 useChatTranscript)이 돌려준 연결 객체를 넘긴다.
+ * 연결이 바뀌면(room 을 옮기면) 목록을 비우고 새 연결을 구독한다.
+ *
+ * 반환값
+ * - users: room 에 있는 사용자 이름 목록
+ * - events: 최근 입장/퇴장 [{ id, type: 'join' | 'leave', user, time }] (최대 MAX_PRESENCE_EVENTS 개)
+ */
+
+import { useEffect, useState } from 'react';
+import { useClock } from '../clock/useClock';
+
+export const MAX_PRESENCE_EVENTS = 5;
+
+const initialPresence = { users: [], events: [] };
+let nextEventId = 0;
+
+export const usePresence = (connection) => {
+  const [presence, setPresence] = useState(initialPresence);
+  const clock = useClock();
+
+  useEffect(() => {
+    setPresence(initialPresence);
+    if (!connection) return;
+
+    return connection.on('presence', ({ type, user, users }) => {
+      setPresence(prev => ({
+        users,
+        events: [
+          ...prev.events.slice(-(MAX_PRESENCE_EVENTS - 1)),
+          { id: nextEventId++, type, user, time: clock.now() },
+        ],
+      }));
+    });
+  }, [connection, clock]);
+
+  return presence;
+}
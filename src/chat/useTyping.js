@@ -0,0 +1,95 @@
+/**
+ * 입력 중 표시
+ * - useTypingNotifier(connection, message): 입력 중인 message 가 바뀔 때 연결로 입력 상태를 보낸다.
+ *   키를 누를 때마다 보내지 않도록 TYPING_THROTTLE 에 한 번만 보내고,
+ *   message 가 비거나 TYPING_IDLE 동안 바뀌지 않으면 멈췄다고 보낸다.
+ * - useTypingUsers(connection): 연결의 'typing' 이벤트를 구독해서 지금 입력 중인 사람 목록을 돌려준다.
+ *   멈췄다는 알림을 못 받아도 TYPING_TIMEOUT 이 지나면 목록에서 뺀다.
+ * 시간과 타이머는 useClock() 의 시계를 쓴다.
+ */
+
+import { useEffect, useRef, useState } from 'react';
+import { useClock } from '../clock/useClock';
+
+export const TYPING_THROTTLE = 1000;
+export const TYPING_IDLE = 2000;
+export const TYPING_TIMEOUT = 3000;
+
+export const useTypingNotifier = (connection, message) => {
+  const clock = useClock();
+  // 마지막으로 "입력 중"을 보낸 시각. 0 이면 멈춘 상태
+  const lastSentRef = useRef(0);
+
+  // 연결이 바뀌면 이전 연결에는 멈췄다고 보내고, 새 연결에서는 throttle 을 처음부터 다시 센다.
+  // (아래 effect 보다 먼저 선언해야 새 연결의 첫 "입력 중"보다 먼저 실행된다.)
+  useEffect(() => {
+    if (!connection) return;
+    lastSentRef.current = 0;
+    return () => {
+      if (lastSentRef.current !== 0) {
+        connection.sendTyping(false);
+        lastSentRef.current = 0;
+      }
+    };
+  }, [connection]);
+
+  useEffect(() => {
+    if (!connection) return;
+
+    if (message === '') {
+      if (lastSentRef.current !== 0) {
+        connection.sendTyping(false);
+        lastSentRef.current = 0;
+      }
+      return;
+    }
+
+    const now = clock.now();
+    if (now - lastSentRef.current >= TYPING_THROTTLE) {
+      connection.sendTyping(true);
+      lastSentRef.current = now;
+    }
+
+    const timeoutId = clock.setTimeout(() => {
+      connection.sendTyping(false);
+      lastSentRef.current = 0;
+    }, TYPING_IDLE);
+    return () => clock.clearTimeout(timeoutId);
+  }, [connection, message, clock]);
+}
+
+export const useTypingUsers = (connection) => {
+  const clock = useClock();
+  const [typingUsers, setTypingUsers] = useState([]);
+
+  useEffect(() => {
+    setTypingUsers([]);
+    if (!connection) return;
+
+    // user -> timeoutId
+    const timeoutIds = new Map();
+
+    function stop(user) {
+      clock.clearTimeout(timeoutIds.get(user));
+      timeoutIds.delete(user);
+      setTypingUsers(users => users.filter(u => u !== user));
+    }
+
+    const unsubscribe = connection.on('typing', ({ user, isTyping }) => {
+      if (!isTyping) {
+        stop(user);
+        return;
+      }
+      clock.clearTimeout(timeoutIds.get(user));
+      timeoutIds.set(user, clock.setTimeout(() => stop(user), TYPING_TIMEOUT));
+      setTypingUsers(users => users.includes(user) ? users : [...users, user]);
+    });
+
+    return () => {
+      unsubscribe();
+      timeoutIds.forEach(timeoutId => clock.clearTimeout(timeoutId));
+    };
+  }, [connection, clock]);
+
+  return typingUsers;
+}
@@ -0,0 +1,22 @@
+import { render } from '@testing-library/react';
+import { useTypingNotifier } from './useTyping';
+
+test('useTypingNotifier stops typing on the old connection when the connection changes', () => {
+  const Typing = ({ connection, message }) => {
+    useTypingNotifier(connection, message);
+    return null;
+  };
+  const oldConnection = { sendTyping: jest.fn() };
+  const newConnection = { sendTyping: jest.fn() };
+  const { rerender, unmount } = render(<Typing connection={oldConnection} message="h" />);
+  rerender(<Typing connection={oldConnection} message="he" />);
+  expect(oldConnection.sendTyping.mock.calls).toEqual([[true]]);
+
+  // throttle 시간 안에 바뀌어도 새 연결에는 바로 "입력 중"을 보낸다.
+  rerender(<Typing connection={newConnection} message="hel" />);
+  expect(oldConnection.sendTyping.mock.calls).toEqual([[true], [false]]);
+  expect(newConnection.sendTyping.mock.calls).toEqual([[true]]);
+
+  unmount();
+  expect(newConnection.sendTyping.mock.calls).toEqual([[true], [false]]);
+});
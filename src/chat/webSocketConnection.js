@@ -0,0 +1,120 @@
+/**
+ * 실제 WebSocket 으로 로컬 채팅 서버(server/chatServer.js)에 연결한다.
+ * mock 채팅 서버의 연결 객체와 같은 모양이다: connect(), disconnect(), send(text, { clientId }), sendTyping(isTyping), on/once/off(event, listener)
+ *
+ * 예제들은 serverUrl 로 https://localhost:1234 를 쓰므로 ws 주소로 바꿔서 접속한다.
+ * 로컬 서버는 TLS 없이 띄우기 때문에 localhost 는 항상 ws:// 로 접속한다.
+ * 로컬 서버는 메시지를 평문 JSON 으로 중계하므로 encrypted 연결은 만들 수 없다. (암호화는 mock 채팅 서버에서만 지원한다.)
+ */
+
+import { getClock } from '../clock/clock';
+import { EVENTS } from './chatServer';
+import { createEmitter } from './createEmitter';
+import { registerConnection, updateConnection } from './connectionRegistry';
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]'];
+
+export function toWebSocketUrl(serverUrl, roomId) {
+  const url = new URL(serverUrl);
+  if (url.protocol === 'http:' || url.protocol === 'https:') {
+    const isSecure = url.protocol === 'https:' && !LOCAL_HOSTS.includes(url.hostname);
+    url.protocol = isSecure ? 'wss:' : 'ws:';
+  }
+  url.searchParams.set('room', roomId);
+  return url.toString();
+}
+
+export function createWebSocketConnection({ serverUrl, roomId, encrypted = false }) {
+  if (typeof serverUrl !== 'string') {
+    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
+  }
+  if (typeof roomId !== 'string') {
+    throw Error('Expected roomId to be a string. Received: ' + roomId);
+  }
+
+  if (encrypted) {
+    throw Error('The WebSocket transport does not encrypt messages. Use the mock transport for encrypted connections.');
+  }
+
+  const label = 'websocket';
+  const registryId = registerConnection({ transport: 'websocket', serverUrl, roomId, encrypted: false });
+  const { emit, on, once, off } = createEmitter(EVENTS, {
+    onListenersChange: listenerCount => updateConnection(registryId, { listenerCount }),
+  });
+  let socket = null;
+
+  function handleMessage(e) {
+    let payload;
+    try {
+      payload = JSON.parse(e.data);
+    } catch {
+      emit('error', Error(`Malformed frame from "${roomId}" room at ${serverUrl}: ${e.data}`));
+      return;
+    }
+    if (payload.type === 'connected') {
+      updateConnection(registryId, { state: 'open', openedAt: getClock().now() });
+      emit('connected');
+    } else if (payload.type === 'message') {
+      emit('message', payload.message.text, payload.message);
+    } else if (payload.type === 'presence') {
+      emit('presence', { type: payload.event, user: payload.user, users: payload.users });
+    } else if (payload.type === 'typing') {
+      emit('typing', { user: payload.user, isTyping: payload.isTyping });
+    }
+  }
+
+  function handleError() {
+    emit('error', Error(`WebSocket error on "${roomId}" room at ${serverUrl}.`));
+  }
+
+  function handleClose() {
+    socket = null;
+    updateConnection(registryId, { state: 'closed', closedAt: getClock().now() });
+    emit('disconnected');
+  }
+
+  return {
+    connect() {
+      console.log(`✅ Connecting to "${roomId}" room at ${serverUrl}... (${label})`);
+      let url;
+      try {
+        url = toWebSocketUrl(serverUrl, roomId);
+      } catch {
+        emit('error', Error(`Invalid server URL: ${serverUrl}`));
+        return;
+      }
+      updateConnection(registryId, { state: 'connecting' });
+      socket = new WebSocket(url);
+      socket.addEventListener('message', handleMessage);
+      socket.addEventListener('error', handleError);
+      socket.addEventListener('close', handleClose);
+    },
+    disconnect() {
+      console.log(`❌ Disconnected from "${roomId}" room at ${serverUrl} (${label})`);
+      updateConnection(registryId, { state: 'closed', closedAt: getClock().now() });
+      if (socket !== null) {
+        // 직접 끊을 때는 'disconnected' 를 바로 보내고, 이후의 close 이벤트는 무시한다.
+        socket.removeEventListener('message', handleMessage);
+        socket.removeEventListener('error', handleError);
+        socket.removeEventListener('close', handleClose);
+        socket.close();
+        socket = null;
+        emit('disconnected');
+      }
+    },
+    send(text, { clientId = null } = {}) {
+      if (socket === null || socket.readyState !== WebSocket.OPEN) {
+        throw Error(`Cannot send a message before connecting to "${roomId}".`);
+      }
+      socket.send(JSON.stringify({ type: 'message', text, clientId }));
+    },
+    sendTyping(isTyping) {
+      if (socket !== null && socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type: 'typing', isTyping }));
+      }
+    },
+    on,
+    once,
+    off,
+  };
+}
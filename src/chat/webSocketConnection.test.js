@@ -0,0 +1,79 @@
+import { installGlobal } from '../testUtils';
+import { getConnections } from './connectionRegistry';
+import { toWebSocketUrl, createWebSocketConnection } from './webSocketConnection';
+
+test('turns chat server URLs into WebSocket URLs for the room', () => {
+  expect(toWebSocketUrl('https://localhost:1234', 'general')).toBe('ws://localhost:1234/?room=general');
+  expect(toWebSocketUrl('http://127.0.0.1:1234', 'travel')).toBe('ws://127.0.0.1:1234/?room=travel');
+  expect(toWebSocketUrl('https://chat.example.com/rooms', 'music')).toBe('wss://chat.example.com/rooms?room=music');
+  expect(toWebSocketUrl('ws://localhost:1234?room=old', 'new room')).toBe('ws://localhost:1234/?room=new+room');
+});
+
+// 서버 대신 frame 을 직접 보내는 WebSocket
+class FakeWebSocket extends EventTarget {
+  static OPEN = 1;
+  static sockets = [];
+
+  constructor(url) {
+    super();
+    this.url = url;
+    this.readyState = 0;
+    this.sent = [];
+    FakeWebSocket.sockets.push(this);
+  }
+
+  send(data) {
+    this.sent.push(JSON.parse(data));
+  }
+
+  close() {
+    this.readyState = 3;
+  }
+
+  receive(data) {
+    this.readyState = FakeWebSocket.OPEN;
+    this.dispatchEvent(new MessageEvent('message', { data: typeof data === 'string' ? data : JSON.stringify(data) }));
+  }
+}
+
+test('WebSocket connections translate frames into connection events', () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  FakeWebSocket.sockets = [];
+  installGlobal('WebSocket', FakeWebSocket);
+  const connection = createWebSocketConnection({ serverUrl: 'https://localhost:1234', roomId: 'general' });
+  const events = [];
+  connection.on('*', (event, ...args) => events.push([event, ...args]));
+  connection.connect();
+  const [socket] = FakeWebSocket.sockets;
+  expect(socket.url).toBe('ws://localhost:1234/?room=general');
+  expect(() => connection.send('too early')).toThrow('Cannot send a message before connecting to "general".');
+
+  socket.receive({ type: 'connected' });
+  const message = { id: 1, author: 'Alice', text: 'hi', clientId: null, roomId: 'general' };
+  socket.receive({ type: 'message', message });
+  socket.receive({ type: 'typing', user: 'Alice', isTyping: true });
+  // 잘못된 frame 은 listener 밖으로 던지지 않고 'error' 로 알린다.
+  socket.receive('{not json');
+  expect(events.map(([event]) => event)).toEqual(['connected', 'message', 'typing', 'error']);
+  expect(events[1]).toEqual(['message', 'hi', message]);
+  expect(events[3][1].message).toMatch(/^Malformed frame from "general" room/);
+
+  connection.send('hello', { clientId: 'c1' });
+  connection.sendTyping(false);
+  expect(socket.sent).toEqual([
+    { type: 'message', text: 'hello', clientId: 'c1' },
+    { type: 'typing', isTyping: false },
+  ]);
+
+  connection.disconnect();
+  expect(socket.readyState).toBe(3);
+  expect(events.at(-1)).toEqual(['disconnected']);
+});
+
+test('WebSocket connections refuse to be encrypted', () => {
+  const connectionCount = getConnections().length;
+  expect(() => createWebSocketConnection({ serverUrl: 'https://localhost:1234', roomId: 'general', encrypted: true }))
+    .toThrow('The WebSocket transport does not encrypt messages.');
+  // 암호화되지 않은 연결을 encrypted 로 등록하지 않는다.
+  expect(getConnections()).toHaveLength(connectionCount);
+});
@@ -0,0 +1,48 @@
+/**
+ * mock 채팅 서버의 "회선"에 오간 내용 기록
+ * 클라이언트와 서버 사이에 실제로 전달된 값(payload)과 원래 내용(plaintext)을 함께 남긴다.
+ * 암호화 연결이면 payload 는 암호문이고, 아니면 plaintext 와 같다.
+ *
+ * entry: { id, time, serverUrl, roomId, direction: 'up' | 'down', kind: 'handshake' | 'message', encrypted, plaintext, payload }
+ * - up: 클라이언트 -> 서버, down: 서버 -> 클라이언트
+ */
+
+import { getClock } from '../clock/clock';
+
+const MAX_ENTRIES = 100;
+
+let entries = [];
+let nextId = 0;
+const listeners = new Set();
+
+export function recordWireFrame({ serverUrl, roomId, direction, kind, encrypted, plaintext, payload }) {
+  entries = [
+    ...entries.slice(-(MAX_ENTRIES - 1)),
+    {
+      id: nextId++,
+      time: getClock().now(),
+      serverUrl,
+      roomId,
+      direction,
+      kind,
+      encrypted,
+      plaintext,
+      payload,
+    },
+  ];
+  listeners.forEach(listener => listener());
+}
+
+export function clearWireLog() {
+  entries = [];
+  listeners.forEach(listener => listener());
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getEntries() {
+  return entries;
+}
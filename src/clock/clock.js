@@ -0,0 +1,134 @@
+/**
+ * 시계
+ * 시간을 읽거나 타이머/animation frame 을 거는 코드가 Date.now(), setTimeout, requestAnimationFrame 대신 쓰는 object 다.
+ * { now, setTimeout, clearTimeout, setInterval, clearInterval, requestAnimationFrame, cancelAnimationFrame }
+ *
+ * - systemClock: 브라우저의 함수를 쓸 때마다 window 에서 찾는다. (leak detection 이 감싼 함수도 그대로 쓴다.)
+ * - getClock() / setClock(clock): React 밖의 코드가 쓰는 시계. setClock 은 이전 시계로 되돌리는 함수를 돌려준다.
+ *   React 안에서는 useClock() 으로 읽는다. (src/clock/useClock.js, ClockProvider 로 바꿀 수 있다.)
+ * - createManualClock({ startTime }): 테스트용 시계. 직접 움직이기 전에는 시간이 흐르지 않는다.
+ *   advance(ms): 시간을 ms 만큼 움직이면서 그 사이에 예정된 타이머를 예정 시각 순서대로 실행한다.
+ *   runPendingTimers(): 지금 걸려 있는 타이머를 (시간을 그 시각까지 움직이면서) 한 번씩 실행한다.
+ *   flushFrames(): 지금 걸려 있는 animation frame callback 을 실행한다. 그 안에서 새로 건 frame 은 다음 flush 때 실행한다.
+ *   advanceFrames(count, frameTime): frameTime ms 씩 움직이고 frame 을 flush 하기를 count 번 반복한다.
+ */
+
+// window 의 함수를 꺼낼 때마다 찾아서 bind 한다. bind 한 함수는 stack trace 에 frame 을 남기지 않으므로
+// leak detection 의 "Created at" 이 시계가 아니라 호출한 코드를 가리킨다.
+export const systemClock = {
+  now: () => Date.now(),
+  get setTimeout() { return window.setTimeout.bind(window); },
+  get clearTimeout() { return window.clearTimeout.bind(window); },
+  get setInterval() { return window.setInterval.bind(window); },
+  get clearInterval() { return window.clearInterval.bind(window); },
+  get requestAnimationFrame() { return window.requestAnimationFrame.bind(window); },
+  get cancelAnimationFrame() { return window.cancelAnimationFrame.bind(window); },
+};
+
+let currentClock = systemClock;
+
+export function getClock() {
+  return currentClock;
+}
+
+export function setClock(clock) {
+  const previousClock = currentClock;
+  currentClock = clock;
+  return () => {
+    currentClock = previousClock;
+  };
+}
+
+export function createManualClock({ startTime = 0 } = {}) {
+  let time = startTime;
+  // timer 와 frame 은 같은 id 를 쓰지 않는다.
+  let nextId = 1;
+  // id -> { id, time, callback, interval }
+  const timers = new Map();
+  // id -> callback
+  let frames = new Map();
+
+  function schedule(callback, delay, interval) {
+    const id = nextId++;
+    timers.set(id, { id, time: time + Math.max(0, delay ?? 0), callback, interval });
+    return id;
+  }
+
+  function compareTimers(a, b) {
+    return a.time - b.time || a.id - b.id;
+  }
+
+  function getNextTimer(until) {
+    let next = null;
+    timers.forEach(timer => {
+      if (timer.time <= until && (next === null || compareTimers(timer, next) < 0)) {
+        next = timer;
+      }
+    });
+    return next;
+  }
+
+  function runTimer(timer) {
+    time = Math.max(time, timer.time);
+    if (timer.interval === null) {
+      timers.delete(timer.id);
+    } else {
+      // delay 가 0 인 interval 이 advance 를 끝나지 않게 만들지 않도록
+      timer.time += Math.max(1, timer.interval);
+    }
+    timer.callback();
+  }
+
+  function cancelTimer(id) {
+    timers.delete(id);
+  }
+
+  function advance(ms) {
+    const until = time + ms;
+    for (let timer = getNextTimer(until); timer !== null; timer = getNextTimer(until)) {
+      runTimer(timer);
+    }
+    time = until;
+  }
+
+  function flushFrames() {
+    const pending = frames;
+    frames = new Map();
+    pending.forEach(callback => callback(time));
+    return pending.size;
+  }
+
+  return {
+    now: () => time,
+    setTimeout: (callback, delay) => schedule(callback, delay, null),
+    clearTimeout: cancelTimer,
+    setInterval: (callback, delay) => schedule(callback, delay, delay ?? 0),
+    clearInterval: cancelTimer,
+    requestAnimationFrame(callback) {
+      const id = nextId++;
+      frames.set(id, callback);
+      return id;
+    },
+    cancelAnimationFrame(id) {
+      frames.delete(id);
+    },
+    advance,
+    flushFrames,
+    advanceFrames(count = 1, frameTime = 16) {
+      for (let i = 0; i < count; i++) {
+        advance(frameTime);
+        flushFrames();
+      }
+    },
+    runPendingTimers() {
+      [...timers.values()].sort(compareTimers).forEach(timer => {
+        // 앞의 타이머가 지웠으면 건너뛴다.
+        if (timers.get(timer.id) === timer) {
+          runTimer(timer);
+        }
+      });
+    },
+    getTimerCount: () => timers.size,
+    getFrameCount: () => frames.size,
+  };
+}
@@ -0,0 +1,22 @@
+import { createManualClock } from './clock';
+
+test('manual clock runs timers in order and frames one flush at a time', () => {
+  const clock = createManualClock();
+  const calls = [];
+  clock.setTimeout(() => calls.push(`timeout@${clock.now()}`), 50);
+  const intervalId = clock.setInterval(() => calls.push(`interval@${clock.now()}`), 20);
+  clock.requestAnimationFrame(time => {
+    calls.push(`frame@${time}`);
+    clock.requestAnimationFrame(next => calls.push(`next frame@${next}`));
+  });
+  clock.advance(60);
+  clock.clearInterval(intervalId);
+  expect(clock.flushFrames()).toBe(1);
+  expect(calls).toEqual(['interval@20', 'interval@40', 'timeout@50', 'interval@60', 'frame@60']);
+  expect(clock.getFrameCount()).toBe(1);
+
+  clock.setTimeout(() => calls.push(`late@${clock.now()}`), 1000);
+  clock.runPendingTimers();
+  clock.flushFrames();
+  expect(calls.slice(5)).toEqual(['late@1060', 'next frame@1060']);
+});
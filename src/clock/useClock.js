@@ -0,0 +1,25 @@
+/**
+ * useClock / ClockProvider
+ * 컴포넌트와 hook 은 useClock() 으로 시계를 읽는다. (src/clock/clock.js)
+ * ClockProvider 가 없으면 getClock() (기본값 systemClock) 을 쓴다.
+ *
+ * 테스트에서는 <ClockProvider clock={createManualClock()}> 로 감싸거나, 렌더링하기 전에 setClock 으로 바꾼다.
+ * setClock 은 이미 렌더링된 컴포넌트를 다시 렌더링하지 않는다.
+ */
+
+import { createContext, useContext } from 'react';
+import { getClock } from './clock';
+
+const ClockContext = createContext(null);
+
+export const ClockProvider = ({ clock, children }) => {
+  return (
+    <ClockContext.Provider value={clock}>
+      {children}
+    </ClockContext.Provider>
+  );
+}
+
+export const useClock = () => {
+  return useContext(ClockContext) ?? getClock();
+}
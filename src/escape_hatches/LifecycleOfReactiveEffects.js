@@ -20,17 +20,20 @@
  */
 
 import { useState, useEffect } from 'react';
+import { createChatConnection } from '../chat/chatServer';
+import { useChatTranscript } from '../chat/useChatTranscript';
+import { simulateResponse } from '../network/networkConditions';
+import { ChatTranscript } from '../chat/ChatTranscript';
+import { Outbox } from '../chat/Outbox';
+import { WireLog } from '../chat/WireLog';
+import { usePresence } from '../chat/usePresence';
+import { useTypingNotifier, useTypingUsers } from '../chat/useTyping';
+import { PresenceList, TypingIndicator } from '../chat/Presence';
+import { useTracedEffect } from '../hooks/useTracedEffect';
+import { usePointer } from '../hooks/gestures';
 
 function createConnection(serverUrl, roomId) {
-    // A real implementation would actually connect to the server
-  return {
-    connect() {
-      console.log('✅ Connecting to "' + roomId + '" room at ' + serverUrl + '...');
-    },
-    disconnect() {
-      console.log('❌ Disconnected from "' + roomId + '" room at ' + serverUrl);
-    }
-  };
+  return createChatConnection({ serverUrl, roomId });
 }
 
 const serverUrl = 'https://localhost:1234';
@@ -79,22 +82,40 @@ export const CharRoomExample = () => {
 }
 
 // Challenges
+// message 는 effect 에서 사용하지 않으므로, 입력할 때마다 다시 연결하지 않는다.
+// transport 가 'websocket' 이면 실제 서버를 통해 다른 탭과 메시지를 주고 받는다.
+// roomId 가 바뀌어도 ChatRoomChallenge 는 유지되므로, 이전 room 의 대화 기록도 남아 있다.
+// 한 연결에서 메시지, 입장/퇴장, 입력 중 이벤트를 각각 다른 effect 가 구독한다.
+// message 로 동기화하는 건 "입력 중" 알림뿐이라서, 입력할 때마다 다시 연결하지 않는다.
 function ChatRoomChallenge({ roomId }) {
   const [message, setMessage] = useState('');
+  const { connection, messages, send, retry, outbox } = useChatTranscript({ serverUrl, roomId });
+  const presence = usePresence(connection);
+  const typingUsers = useTypingUsers(connection);
+  useTypingNotifier(connection, message);
 
-  useEffect(() => {
-    const connection = createConnection(serverUrl, roomId);
-    connection.connect();
-    return () => connection.disconnect();
-  }, [roomId]);
+  function handleSend() {
+    send(message);
+    setMessage('');
+  }
 
   return (
     <>
       <h1>Welcome to the {roomId} room!</h1>
+      <PresenceList users={presence.users} events={presence.events} />
+      <ChatTranscript messages={messages} onRetry={retry} />
+      <Outbox
+        items={outbox.items}
+        onUndo={outbox.cancel}
+        onSendNow={outbox.sendNow}
+        onRetry={outbox.retry}
+      />
+      <TypingIndicator users={typingUsers} />
       <input
         value={message}
         onChange={e => setMessage(e.target.value)}
       />
+      <button disabled={message === ''} onClick={handleSend}>Send</button>
     </>
   );
 }
@@ -121,18 +142,9 @@ export const FIX_RECONNECTION_ON_EVERY_KEYSTROKE = () => {
 }
 
 export const SWITCH_SYNCHRONIZATION_ON_AND_OFF = () => {
-  const [position, setPosition] = useState({ x: 0, y: 0 });
   const [canMove, setCanMove] = useState(true);
-
-  useEffect(() => {
-    function handleMove(e) {
-      if (canMove) {
-        setPosition({ x: e.clientX, y: e.clientY });
-      }
-    }
-    window.addEventListener('pointermove', handleMove);
-    return () => window.removeEventListener('pointermove', handleMove);
-  }, [canMove]);
+  // window 의 pointermove 구독은 usePointer 가 한다. enabled 가 false 면 구독을 끊어서 점이 멈춘다. (src/hooks/gestures.js)
+  const position = usePointer({ enabled: canMove });
 
   return (
     <>
@@ -161,26 +173,10 @@ export const SWITCH_SYNCHRONIZATION_ON_AND_OFF = () => {
 }
 
 function createEncryptedConnection(roomId) {
-  // A real implementation would actually connect to the server
-  return {
-    connect() {
-      console.log('✅ 🔐 Connecting to "' + roomId + '... (encrypted)');
-    },
-    disconnect() {
-      console.log('❌ 🔐 Disconnected from "' + roomId + '" room (encrypted)');
-    }
-  };
+  return createChatConnection({ roomId, encrypted: true });
 }
 function createUnencryptedConnection(roomId) {
-  // A real implementation would actually connect to the server
-  return {
-    connect() {
-      console.log('✅ Connecting to "' + roomId + '... (unencrypted)');
-    },
-    disconnect() {
-      console.log('❌ Disconnected from "' + roomId + '" room (unencrypted)');
-    }
-  };
+  return createChatConnection({ roomId, encrypted: false });
 }
 export const FIX_A_CONNECTION_SWITCH = () => {
   const [roomId, setRoomId] = useState('general');
@@ -211,26 +207,25 @@ export const FIX_A_CONNECTION_SWITCH = () => {
         roomId={roomId}
         isEncrypted={isEncrypted}
       />
+      {/* isEncrypted 를 바꾸면 다시 연결되면서 회선에 오가는 값이 암호문으로 바뀐다. */}
+      <WireLog roomId={roomId} />
     </>
   );
 }
+// room 이나 암호화를 바꿀 때마다 어떤 의존성이 바뀌어서 다시 연결하는지 console 에 남긴다.
 function ChatRoomChallenge2({ roomId, isEncrypted }) {
 
-  useEffect(() => {
+  useTracedEffect(() => {
     const createConnection = isEncrypted ? createEncryptedConnection : createUnencryptedConnection;
     const connection = createConnection(roomId);
     connection.connect();
     return () => connection.disconnect();
-  }, [roomId, isEncrypted]);
+  }, [roomId, isEncrypted], { label: 'ChatRoom connection', names: ['roomId', 'isEncrypted'] });
 
   return <h1>Welcome to the {roomId} room!</h1>;
 }
 
-const fetchData = (url) => new Promise(resolve => {
-  setTimeout(() => {
-    resolve(`url`);
-  }, 3000);
-});
+const fetchData = (url) => simulateResponse(3000, () => `url`);
 export const POPULATE_A_CHAIN_OF_SELECT_BOXES = () => {
   // const [planetList, setPlanetList] = useState([])
   // const [planetId, setPlanetId] = useState('');
@@ -314,12 +309,28 @@ const useSelectOptions = (url) => {
           setList(result);
           setSelectedId(result[0]);
         }
+      }, error => {
+        // 실패하면 목록을 비운다. (Network conditions 패널의 failure rate)
+        if (!ignore) {
+          console.warn(`Failed to load ${url}: ${error.message}`);
+          setList([]);
+          setSelectedId('');
+        }
       });
 
-      return () => {
-        ignore = true;
-      }
-  });
+    return () => {
+      ignore = true;
+    }
+  }, [url]);
 
   return [list, selectedId, setSelectedId];
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { CharRoomExample };
+export const challenges = {
+  FIX_RECONNECTION_ON_EVERY_KEYSTROKE,
+  SWITCH_SYNCHRONIZATION_ON_AND_OFF,
+  FIX_A_CONNECTION_SWITCH,
+  POPULATE_A_CHAIN_OF_SELECT_BOXES,
+};
@@ -388,3 +388,12 @@ export const FOCUS_THE_SEARCH_FIELD_WITH_SEPARATE_COMPONENTS = () => {
     </>
   )
 }
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { Form, CatFriends, CatFriendsList, FormForwardRef, FormImperativeHandle, TodoList };
+export const challenges = {
+  PLAY_AND_PAUSE_THE_VIDEO,
+  FOCUS_THE_SEARCH_FIELD,
+  SCROLLING_AN_IMAGE_CAROUSEL,
+  FOCUS_THE_SEARCH_FIELD_WITH_SEPARATE_COMPONENTS,
+};
@@ -12,6 +12,15 @@
 */
 
 import { useRef, useState } from 'react';
+import {
+	useStopwatch,
+	useStopwatchShortcuts,
+	getLapStats,
+	formatDuration,
+	formatLapsCsv,
+} from '../hooks/useStopwatch';
+import { useOutbox } from '../hooks/useOutbox';
+import { Outbox } from '../chat/Outbox';
 
 export const ReferencingRefs = () => {
 	let ref = useRef(0);
@@ -30,36 +39,72 @@ export const ReferencingRefs = () => {
 	)
 };
 
-export const StopWatch = () => {
-	const [startTime, setStartTime] = useState(null);
-	const [now, setNow] = useState(null);
-	const intervalRef = useRef(null);
-	function handleStart() {
-		setStartTime(Date.now());
-		setNow(Date.now());
-		intervalRef.current = setInterval(() => {
-			setNow(Date.now());
-		}, 10);
-	}
-
-	function handleStop() {
-		clearInterval(intervalRef.current);
-	}
+// 처음 StopWatch 는 start 할 때마다 이전 interval 을 지우지 않고 새로 만들었고, 이어서 재거나 새로고침 뒤에 복원할 수 없었다.
+// -> 시간 계산, interval, 저장은 useStopwatch 가 한다. (src/hooks/useStopwatch.js)
+const LAP_COLORS = { best: 'green', worst: 'crimson' };
 
-	let secondsPassed = 0;
-	if (startTime !== null && now !== null) {
-		secondsPassed = (now - startTime) / 1000;
+export const StopWatch = () => {
+	const stopwatch = useStopwatch('stopwatch-session');
+	const { status, elapsed, laps } = stopwatch;
+	useStopwatchShortcuts(stopwatch);
+
+	const stats = getLapStats(laps);
+	function getLapRank(lap) {
+		if (stats?.best === lap.number) return 'best';
+		if (stats?.worst === lap.number) return 'worst';
+		return null;
 	}
 
 	return (
 		<>
-			<h1>Time passed: {secondsPassed.toFixed(3)}</h1>
-			<button onClick={handleStart}>
-				start
-			</button>
-			<button onClick={handleStop}>
-				stop
-			</button>
+			<h1>Time passed: {formatDuration(elapsed)}</h1>
+			{status === 'idle' && <button onClick={stopwatch.start}>start</button>}
+			{status === 'running' && (
+				<>
+					<button onClick={stopwatch.pause}>pause</button>
+					<button onClick={stopwatch.lap}>lap</button>
+				</>
+			)}
+			{status === 'paused' && (
+				<>
+					<button onClick={stopwatch.resume}>resume</button>
+					<button onClick={stopwatch.reset}>reset</button>
+				</>
+			)}
+			<p>
+				<small>Space: start / pause / resume, L: lap, R: reset</small>
+			</p>
+			{laps.length > 0 && (
+				<>
+					<table aria-label="Laps">
+						<thead>
+							<tr>
+								<th>Lap</th>
+								<th>Lap time</th>
+								<th>Total</th>
+							</tr>
+						</thead>
+						<tbody>
+							{[...laps].reverse().map(lap => {
+								const rank = getLapRank(lap);
+								return (
+									<tr key={lap.number} style={{ color: LAP_COLORS[rank] }}>
+										<td>{lap.number}</td>
+										<td>{formatDuration(lap.time)}{rank && ` (${rank})`}</td>
+										<td>{formatDuration(lap.total)}</td>
+									</tr>
+								);
+							})}
+						</tbody>
+					</table>
+					<a
+						href={`data:text/csv;charset=utf-8,${encodeURIComponent(formatLapsCsv(laps))}`}
+						download="laps.csv"
+					>
+						Export laps (CSV)
+					</a>
+				</>
+			)}
 		</>
 	)
 }
@@ -91,37 +136,38 @@ export const useRefImpl = (initValue) => {
 }
 
 // Challenges
+// 처음 코드는 timeoutID ref 하나로 마지막으로 보낸 메시지 하나만 되돌릴 수 있었고, 보내는 동안에는 입력할 수 없었다.
+// -> useOutbox 로 메시지마다 따로 3초 타이머를 걸어서, 여러 메시지를 보내 놓고 하나씩 되돌릴 수 있다.
+//    페이지를 떠나면 기다리던 메시지는 바로 보낸다.
 export const FIX_A_BROKEN_CHAT_INPUT = () => {
 	const [text, setText] = useState('');
-	const [isSending, setIsSending] = useState(false);
-	const timeoutID = useRef(null);
+	const outbox = useOutbox({
+		undoWindow: 3000,
+		send: ({ text }) => console.log(`Sent: ${text}`),
+	});
 
 	function handleSend() {
-		setIsSending(true);
-		timeoutID.current = setTimeout(() => {
-			alert("Sent");
-			setIsSending(false);
-		}, 3000);
-	}
-
-	function handleUndo() {
-		setIsSending(false);
-		clearTimeout(timeoutID.current);
+		outbox.enqueue({ text });
+		setText('');
 	}
 
 	return (
 		<>
 			<input
-				disabled={isSending}
 				value={text}
 				onChange={e => setText(e.target.value)}
 			/>
 			<button
-				disabled={isSending}
+				disabled={text === ''}
 				onClick={handleSend}>
-					{isSending ? "Sending..." : "Send"}
+					Send
 			</button>
-			{isSending && <button onClick={handleUndo}>Undo</button>}
+			<Outbox
+				items={outbox.items}
+				onUndo={outbox.cancel}
+				onSendNow={outbox.sendNow}
+				onRetry={outbox.retry}
+			/>
 		</>
 	)
 }
@@ -189,4 +235,13 @@ export const READ_THE_LATEST_STATE = () => {
 			<button onClick={handleSend}>Send</button>
 		</>
 	)
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { ReferencingRefs, StopWatch, Counter };
+export const challenges = {
+	FIX_A_BROKEN_CHAT_INPUT,
+	FIX_A_COMPONENT_FAILING_TO_RE_RENDER,
+	FIX_DEBOUNCING,
+	READ_THE_LATEST_STATE,
+};
@@ -17,7 +17,15 @@
  */
 
 import { useState, useEffect, useRef } from "react";
-import { experimental_useEffectEvent as useEffectEvent } from "react";
+import { createChatConnection } from "../chat/chatServer";
+import { useChatTranscript } from "../chat/useChatTranscript";
+import { ChatTranscript } from "../chat/ChatTranscript";
+import { Outbox } from "../chat/Outbox";
+import { WireLog } from "../chat/WireLog";
+import { ConnectionStatus } from "../chat/ConnectionStatus";
+import { useTracedEffect } from "../hooks/useTracedEffect";
+import { tween, sequence, parallel } from "../animation/animation";
+import { useAnimation } from "../animation/useAnimation";
 
 // Challenges
 export const Timer = () => {
@@ -39,72 +47,44 @@ export const Timer = () => {
   return <h1>Counter: {count}</h1>
 }
 
-export class FadeInAnimation {
-  constructor(node) {
-    this.node = node;
-  }
-  start(duration) {
-    this.duration = duration;
-    if (this.duration === 0) {
-      // Jump to end immediately
-      this.onProgress(1);
-    } else {
-      this.onProgress(0);
-      // Start animating
-      this.startTime = performance.now();
-      this.frameId = requestAnimationFrame(() => this.onFrame());
-    }
-  }
-  onFrame() {
-    const timePassed = performance.now() - this.startTime;
-    const progress = Math.min(timePassed / this.duration, 1);
-    this.onProgress(progress);
-    if (progress < 1) {
-      // We still have more frames to paint
-      this.frameId = requestAnimationFrame(() => this.onFrame());
-    }
-  }
-  onProgress(progress) {
-    this.node.style.opacity = progress;
-  }
-  stop() {
-    cancelAnimationFrame(this.frameId);
-    this.startTime = null;
-    this.frameId = null;
-    this.duration = 0;
-  }
-}
-
-
+// 처음 Welcome 은 effect 에서 FadeInAnimation(requestAnimationFrame 으로 opacity 를 0 -> 1 로 바꾸는 class)을 만들고, duration 은 useEffectEvent 로 읽어서 바뀌어도 다시 시작하지 않았다.
+// useAnimation 이 이 effect 와 cleanup 을 대신한다. (src/animation/useAnimation.js)
 function Welcome({ duration }) {
   const ref = useRef(null);
 
-  const onAnimation = useEffectEvent((animation) => {
-    animation.start(duration);
-  });
-
-  useEffect(() => {
-    const animation = new FadeInAnimation(ref.current);
-    onAnimation(animation);
-    return () => {
-      animation.stop();
-    };
-  }, []);
+  // 나타나면서(opacity, y, scale) 끝나면 글자색을 바꾼다.
+  const animation = useAnimation(ref, node => sequence([
+    parallel([
+      tween(node, { from: { opacity: 0 }, to: { opacity: 1 }, duration, easing: 'linear' }),
+      tween(node, { from: { y: -20, scale: 0.9 }, to: { y: 0, scale: 1 }, duration }),
+    ]),
+    tween(node, { from: { color: '#ffffff' }, to: { color: '#ffeb3b' }, duration: 300, easing: 'easeInOut' }),
+  ]));
 
   return (
-    <h1
-      ref={ref}
-      style={{
-        opacity: 0,
-        color: 'white',
-        padding: 50,
-        textAlign: 'center',
-        fontSize: 50,
-        backgroundImage: 'radial-gradient(circle, rgba(63,94,251,1) 0%, rgba(252,70,107,1) 100%)'
-      }}
-    >
-      Welcome
-    </h1>
+    <>
+      <h1
+        ref={ref}
+        style={{
+          opacity: 0,
+          color: 'white',
+          padding: 50,
+          textAlign: 'center',
+          fontSize: 50,
+          backgroundImage: 'radial-gradient(circle, rgba(63,94,251,1) 0%, rgba(252,70,107,1) 100%)'
+        }}
+      >
+        Welcome
+      </h1>
+      <button
+        disabled={animation.state !== 'running' && animation.state !== 'paused'}
+        onClick={animation.state === 'paused' ? animation.resume : animation.pause}
+      >
+        {animation.state === 'paused' ? 'Resume' : 'Pause'}
+      </button>
+      <button onClick={animation.reverse}>Reverse</button>
+      <button onClick={animation.restart}>Replay</button>
+    </>
   );
 }
 export const FIX_A_RETRIGGERING_ANIMATION = () => {
@@ -134,22 +114,9 @@ export const FIX_A_RETRIGGERING_ANIMATION = () => {
   );
 }
 
+// options object 를 받는 모양. serverUrl, roomId 가 string 이 아니면 에러를 던진다.
 export function createConnection({ serverUrl, roomId }) {
-  // A real implementation would actually connect to the server
-  if (typeof serverUrl !== 'string') {
-    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
-  }
-  if (typeof roomId !== 'string') {
-    throw Error('Expected roomId to be a string. Received: ' + roomId);
-  }
-  return {
-    connect() {
-      console.log('✅ Connecting to "' + roomId + '" room at ' + serverUrl + '...');
-    },
-    disconnect() {
-      console.log('❌ Disconnected from "' + roomId + '" room at ' + serverUrl);
-    }
-  };
+  return createChatConnection({ serverUrl, roomId });
 }
 
 export const FIX_A_RECONNECTION_CHAT = () => {
@@ -191,13 +158,15 @@ export const FIX_A_RECONNECTION_CHAT = () => {
   );
 }
 
+// useTracedEffect 로 어떤 의존성 때문에 다시 연결하는지 console 에서 확인할 수 있다.
+// 의존성을 [options] 로 바꾸면 테마를 바꿀 때마다 "options changed identity but is deeply equal" 경고가 나온다.
 const ChatRoom = ({ options }) => {
   const { serverUrl, roomId } = options; 
-  useEffect(() => {
+  useTracedEffect(() => {
     const connection = createConnection({ serverUrl, roomId });
     connection.connect();
     return () => connection.disconnect();
-  }, [serverUrl, roomId]);
+  }, [serverUrl, roomId], { label: 'ChatRoom connection', names: ['serverUrl', 'roomId'] });
 
   return <h1>Welcome to the {options.roomId} room!</h1>;
 }
@@ -243,119 +212,51 @@ export const FIX_A_RECONNECTING_CHAT_AGAIN = () => {
         roomId={roomId}
         isDark={isDark}
         isEncrypted={isEncrypted}
-        createConnection={() => {
-          const options = {
-            serverUrl: 'https://localhost:1234',
-            roomId: roomId
-          };
-          if (isEncrypted) {
-            return createEncryptedConnection(options);
-          } else {
-            return createUnencryptedConnection(options);
-          }
-        }}
       />
     </>
   );
 }
 
-export function createEncryptedConnection({ serverUrl, roomId }) {
-  // A real implementation would actually connect to the server
-  if (typeof serverUrl !== 'string') {
-    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
-  }
-  if (typeof roomId !== 'string') {
-    throw Error('Expected roomId to be a string. Received: ' + roomId);
-  }
-  let intervalId;
-  let messageCallback;
-  return {
-    connect() {
-      console.log('✅ 🔐 Connecting to "' + roomId + '" room... (encrypted)');
-      clearInterval(intervalId);
-      intervalId = setInterval(() => {
-        if (messageCallback) {
-          if (Math.random() > 0.5) {
-            messageCallback('hey')
-          } else {
-            messageCallback('lol');
-          }
-        }
-      }, 3000);
-    },
-    disconnect() {
-      clearInterval(intervalId);
-      messageCallback = null;
-      console.log('❌ 🔐 Disconnected from "' + roomId + '" room (encrypted)');
-    },
-    on(event, callback) {
-      if (messageCallback) {
-        throw Error('Cannot add the handler twice.');
-      }
-      if (event !== 'message') {
-        throw Error('Only "message" event is supported.');
-      }
-      messageCallback = callback;
-    },
-  };
-}
-
+// options object 를 effect 안(useChatRoom 안)에서 만들기 때문에 원시값인 roomId, isEncrypted 가 바뀔 때만 다시 연결한다.
+// isDark 는 메시지를 받을 때 최신값만 읽는다.
 export const ChatRoom1 = ({ roomId, isDark, isEncrypted }) => {
+  const [message, setMessage] = useState('');
+  const { status, messages, send, retry, outbox } = useChatTranscript({
+    serverUrl: 'https://localhost:1234',
+    roomId,
+    encrypted: isEncrypted,
+    onReceiveMessage(msg) {
+      showNotification(msg, isDark ? "dark" : "light");
+    },
+  });
 
-  const onMessage = useEffectEvent((msg) => showNotification(msg, isDark ? "dark" : "light"));
-
-  useEffect(() => {
-    const options = {
-      serverUrl: 'https://localhost:1234',
-      roomId: roomId
-    }
-    const connection = isEncrypted ? createEncryptedConnection(options) : createUnencryptedConnection(options);
-    connection.on('message', onMessage);
-    connection.connect();
-    return () => connection.disconnect();
-  }, [isEncrypted, roomId]);
+  function handleSend() {
+    send(message);
+    setMessage('');
+  }
 
-  return <h1>Welcome to the {roomId} room!</h1>;
+  return (
+    <>
+      <h1>Welcome to the {roomId} room! <ConnectionStatus status={status} /></h1>
+      <ChatTranscript messages={messages} onRetry={retry} />
+      <Outbox
+        items={outbox.items}
+        onUndo={outbox.cancel}
+        onSendNow={outbox.sendNow}
+        onRetry={outbox.retry}
+      />
+      <input value={message} onChange={e => setMessage(e.target.value)} />
+      <button disabled={message === ''} onClick={handleSend}>Send</button>
+      <WireLog roomId={roomId} />
+    </>
+  );
 }
 
-
-function createUnencryptedConnection({ serverUrl, roomId }) {
-  // A real implementation would actually connect to the server
-  if (typeof serverUrl !== 'string') {
-    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
-  }
-  if (typeof roomId !== 'string') {
-    throw Error('Expected roomId to be a string. Received: ' + roomId);
-  }
-  let intervalId;
-  let messageCallback;
-  return {
-    connect() {
-      console.log('✅ Connecting to "' + roomId + '" room (unencrypted)...');
-      clearInterval(intervalId);
-      intervalId = setInterval(() => {
-        if (messageCallback) {
-          if (Math.random() > 0.5) {
-            messageCallback('hey')
-          } else {
-            messageCallback('lol');
-          }
-        }
-      }, 3000);
-    },
-    disconnect() {
-      clearInterval(intervalId);
-      messageCallback = null;
-      console.log('❌ Disconnected from "' + roomId + '" room (unencrypted)');
-    },
-    on(event, callback) {
-      if (messageCallback) {
-        throw Error('Cannot add the handler twice.');
-      }
-      if (event !== 'message') {
-        throw Error('Only "message" event is supported.');
-      }
-      messageCallback = callback;
-    },
-  };
-}
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = {};
+export const challenges = {
+  Timer,
+  FIX_A_RETRIGGERING_ANIMATION,
+  FIX_A_RECONNECTION_CHAT,
+  FIX_A_RECONNECTING_CHAT_AGAIN,
+};
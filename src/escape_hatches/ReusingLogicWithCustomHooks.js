@@ -7,32 +7,19 @@
  * 5. Effect 는 점진적으로 hooks 로 변환돼야 한다.
  */
 
-import { useState, useEffect } from 'react';
-import { experimental_useEffectEvent as useEffectEvent} from 'react';
-
-const useOnlineStatus = () => {
-  const [isOnline, setIsOnline] = useState(true); 
-
-  useEffect(() => {
-    function handleOnline() {
-      setIsOnline(true);
-    }
-
-    function handleOffline() {
-      setIsOnline(false);
-    }
-
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-    }
-  }, []);
-
-  return isOnline;
-}
+import { useState } from 'react';
+import { useChatTranscript } from '../chat/useChatTranscript';
+import { ChatTranscript } from '../chat/ChatTranscript';
+import { Outbox } from '../chat/Outbox';
+import { ConnectionStatus } from '../chat/ConnectionStatus';
+import { useOnlineStatus } from '../hooks/useOnlineStatus';
+import { useCounter } from '../hooks/timers';
+import { useDelayedValue, useSpring } from '../hooks/motion';
+import { usePointer } from '../hooks/gestures';
+
+// useOnlineStatus 는 src/hooks/useOnlineStatus.js 로 옮겼다. (useChatRoom 에서도 사용한다.)
+// useSyncExternalStore 로 구독하므로 처음 렌더링부터 navigator.onLine 값을 쓴다.
+// Network conditions 패널의 "Online status" 로 오프라인을 흉내낼 수 있다.
 
 export const StatusBar = () => {
   const isOnline = useOnlineStatus();
@@ -83,110 +70,69 @@ export const Form = () => {
   );
 }
 
-export function createConnection({ serverUrl, roomId }) {
-  // A real implementation would actually connect to the server
-  if (typeof serverUrl !== 'string') {
-    throw Error('Expected serverUrl to be a string. Received: ' + serverUrl);
-  }
-  if (typeof roomId !== 'string') {
-    throw Error('Expected roomId to be a string. Received: ' + roomId);
-  }
-  let intervalId;
-  let messageCallback;
-  return {
-    connect() {
-      console.log('✅ Connecting to "' + roomId + '" room at ' + serverUrl + '...');
-      clearInterval(intervalId);
-      intervalId = setInterval(() => {
-        if (messageCallback) {
-          if (Math.random() > 0.5) {
-            messageCallback('hey')
-          } else {
-            messageCallback('lol');
-          }
-        }
-      }, 3000);
-    },
-    disconnect() {
-      clearInterval(intervalId);
-      messageCallback = null;
-      console.log('❌ Disconnected from "' + roomId + '" room at ' + serverUrl + '');
-    },
-    on(event, callback) {
-      if (messageCallback) {
-        throw Error('Cannot add the handler twice.');
-      }
-      if (event !== 'message') {
-        throw Error('Only "message" event is supported.');
-      }
-      messageCallback = callback;
-    },
-  };
-}
-
 const showNotification = (msg) => console.log(msg);
 
-const useChatRoom = ({ roomId, serverUrl, onReceiveMessage }) => {
-  const onMessage = useEffectEvent(onReceiveMessage);
-
-  useEffect(() => {
-    const options = { serverUrl, roomId };
-    const connection = createConnection(options);
-    connection.connect();
-    connection.on('message', onMessage);
-
-    return () => connection.disconnect();
-  }, [roomId, serverUrl]);
-}
+// useChatRoom 은 여러 채팅 예제에서 같이 쓰도록 src/chat/useChatRoom.js 로 옮겼다.
 
 export const ChatRoom = ({ roomId }) => {
   const [serverUrl, setServerUrl] = useState(`https://localhost:1234`);
-  useChatRoom({
+  const [message, setMessage] = useState('');
+  // useChatTranscript 는 useChatRoom 위에 대화 기록을 쌓는 hook 이다. (커스텀 hook 은 다른 커스텀 hook 을 사용할 수 있다.)
+  const { status, messages, send, retry, outbox } = useChatTranscript({
     roomId,
     serverUrl,
     onReceiveMessage(msg) {
       showNotification(`New Message: ${msg}`);
     }
   });
+
+  function handleSend() {
+    send(message);
+    setMessage('');
+  }
+
   return (
     <>
       <label>
         Server URL:
         <input value={serverUrl} onChange={e => setServerUrl(e.target.value)} />
       </label>
-      <h1>Welcome to the {roomId} room!</h1>
+      <h1>Welcome to the {roomId} room! <ConnectionStatus status={status} /></h1>
+      <ChatTranscript messages={messages} onRetry={retry} />
+      <Outbox
+        items={outbox.items}
+        onUndo={outbox.cancel}
+        onSendNow={outbox.sendNow}
+        onRetry={outbox.retry}
+      />
+      <input value={message} onChange={e => setMessage(e.target.value)} />
+      <button disabled={message === ''} onClick={handleSend}>Send</button>
     </>
   );
 }
 
 // Challenges
+// useCounter, useInterval 은 src/hooks/timers.js 로 옮겼다.
+// 처음 코드는 useCounter() 를 delay 없이 호출하고, useCounter 안에서 useInterval 을 잘못된 인자로 호출했다.
+// EXTRACT_USE_INTERVAL_OUT_OF_USECOUNTER 는 useInterval(delay) 가 count 를 돌려준다고 기대했다.
+// -> useInterval({ onTick, delay }) 는 tick 마다 onTick 을 호출만 하고, count 는 그 위에 만든 useCounter({ delay }) 가 갖는다.
 export const EXTRACT_A_USECOUNTER_HOOK = () => {
-  const count = useCounter();
+  const { count, isRunning, pause, resume, reset } = useCounter({ delay: 1000 });
 
-  return <h1>Seconds passed: {count}</h1>
-}
-
-const useCounter = (delay) => {
-  const [count, setCount] = useState(0);
-
-  useEffect(() => {
-    const id = setInterval(() => {
-      setCount(c => c + 1);
-    }, delay);
-
-    return () => clearInterval(id);
-  }, [delay]);
-
-  useInterval(() => {
-
-  })
-
-  return count;
+  return (
+    <>
+      <h1>Seconds passed: {count}</h1>
+      <button onClick={isRunning ? pause : resume}>
+        {isRunning ? 'Pause' : 'Resume'}
+      </button>
+      <button onClick={reset}>Reset</button>
+    </>
+  );
 }
 
 export const EXTRACT_USE_INTERVAL_OUT_OF_USECOUNTER = () => {
   const [delay, setDelay] = useState(1000);
-  const count = useInterval(delay);
+  const { count } = useCounter({ delay });
   return (
     <>
       <label>
@@ -206,44 +152,51 @@ export const EXTRACT_USE_INTERVAL_OUT_OF_USECOUNTER = () => {
   );
 }
 
-const useInterval = ({onTick, delay}) => {
-  const onInterval = useEffectEvent(onTick);
-
-  useEffect(() => {
-    const id = setInterval(onInterval, delay);
-    return () => clearInterval(id);
-  }, [delay]);
-}
+// useDelayedValue 는 src/hooks/motion.js 로 옮겼다.
+// 처음 코드는 렌더링마다 cleanup 없이 setTimeout 을 걸었다. (unmount 된 뒤에도 setPosition 을 호출했다.)
+// pos5 는 pos3 대신 pos4 를 따라가야 한다.
+// Spring 모드에서는 각 점이 바로 앞의 점을 스프링처럼 따라간다.
+// 점의 위치는 항상 useSpring 이 돌려준다. Delay 모드에서는 immediate 로 지연된 위치를 그대로 따라가고,
+// 모드를 바꾸면 지금 그려진 위치에서부터 움직이기 시작하므로 튀지 않는다.
+const TRAIL_SPRING = { stiffness: 120, damping: 14 };
 
 export const IMPLEMENT_A_STAGGERING_MOVEMENT = () => {
-  const pos1 = usePointerPosition();
+  const [mode, setMode] = useState('delay');
+  const isSpring = mode === 'spring';
+  const spring = { ...TRAIL_SPRING, immediate: !isSpring };
+
+  const pos1 = usePointer();
   const pos2 = useDelayedValue(pos1, 100);
   const pos3 = useDelayedValue(pos2, 200);
   const pos4 = useDelayedValue(pos3, 100);
-  const pos5 = useDelayedValue(pos3, 50);
+  const pos5 = useDelayedValue(pos4, 50);
+
+  const dot2 = useSpring(isSpring ? pos1 : pos2, spring);
+  const dot3 = useSpring(isSpring ? dot2 : pos3, spring);
+  const dot4 = useSpring(isSpring ? dot3 : pos4, spring);
+  const dot5 = useSpring(isSpring ? dot4 : pos5, spring);
   return (
     <>
+      <fieldset>
+        <legend>Trail</legend>
+        <label>
+          <input type="radio" checked={mode === 'delay'} onChange={() => setMode('delay')} />
+          Delay
+        </label>
+        <label>
+          <input type="radio" checked={mode === 'spring'} onChange={() => setMode('spring')} />
+          Spring
+        </label>
+      </fieldset>
       <Dot position={pos1} opacity={1} />
-      <Dot position={pos2} opacity={0.8} />
-      <Dot position={pos3} opacity={0.6} />
-      <Dot position={pos4} opacity={0.4} />
-      <Dot position={pos5} opacity={0.2} />
+      <Dot position={dot2} opacity={0.8} />
+      <Dot position={dot3} opacity={0.6} />
+      <Dot position={dot4} opacity={0.4} />
+      <Dot position={dot5} opacity={0.2} />
     </>
   );
 }
 
-function useDelayedValue(value, delay) {
-  const [position, setPosition] = useState(value);
-  
-  useEffect(() => {
-    setTimeout(() => {
-      setPosition(value);
-    }, delay);
-  });
-
-  return position;
-}
-
 function Dot({ position, opacity }) {
   return (
     <div style={{
@@ -261,14 +214,17 @@ function Dot({ position, opacity }) {
   );
 }
 
-export function usePointerPosition() {
-  const [position, setPosition] = useState({ x: 0, y: 0 });
-  useEffect(() => {
-    function handleMove(e) {
-      setPosition({ x: e.clientX, y: e.clientY });
-    }
-    window.addEventListener('pointermove', handleMove);
-    return () => window.removeEventListener('pointermove', handleMove);
-  }, []);
-  return position;
-}
\ No newline at end of file
+// usePointerPosition 은 src/hooks/gestures.js 의 usePointer 로 바꿨다. (window 의 pointermove 를 한 번만 구독한다.)
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = {
+  StatusBar,
+  SaveButton,
+  Form,
+  ChatRoom: { component: ChatRoom, props: { roomId: 'general' } },
+};
+export const challenges = {
+  EXTRACT_A_USECOUNTER_HOOK,
+  EXTRACT_USE_INTERVAL_OUT_OF_USECOUNTER,
+  IMPLEMENT_A_STAGGERING_MOVEMENT,
+};
@@ -18,32 +18,11 @@
 
 import { useEffect, useState } from "react";
 import { experimental_useEffectEvent as useEffectEvent } from "react";
+import { createChatConnection } from "../chat/chatServer";
 
+// 연결되면 'connected' 이벤트가 발생한다. (공용 mock 채팅 서버)
 export function createConnection(serverUrl, roomId) {
-    // A real implementation would actually connect to the server
-  let connectedCallback;
-  let timeout;
-  return {
-    connect() {
-      timeout = setTimeout(() => {
-        if (connectedCallback) {
-          connectedCallback();
-        }
-      }, 100);
-    },
-    on(event, callback) {
-      if (connectedCallback) {
-        throw Error('Cannot add the handler twice.');
-      }
-      if (event !== 'connected') {
-        throw Error('Only "connected" event is supported.');
-      }
-      connectedCallback = callback;
-    },
-    disconnect() {
-      clearTimeout(timeout);
-    }
-  };
+  return createChatConnection({ serverUrl, roomId });
 }
 
 const showNotification = (msg, theme) => {
@@ -246,4 +225,15 @@ export const FIX_A_DELAYED_NOTIFICATION = () => {
       />
     </>
   );
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = {
+  ChatRoom: { component: ChatRoom, props: { roomId: 'general', theme: 'light' } },
+};
+export const challenges = {
+  FIX_A_VARIABLE_THAT_DOES_NOT_UPDATE,
+  FIX_A_FREEZING_COUNTER,
+  FIX_A_NON_ADJUSTABLE_DELAY,
+  FIX_A_DELAYED_NOTIFICATION,
+};
@@ -29,6 +29,8 @@
  */
 
 import { useRef, useState, useEffect } from "react";
+import { createChatConnection } from "../chat/chatServer";
+import { simulateResponse } from "../network/networkConditions";
 
 const VideoPlayer = ({ src, isPlaying }) => {
   const ref = useRef(null);
@@ -75,15 +77,8 @@ export const VideoPlayerExample = () => {
 // effect 의 clearnup function 을 테스트 할 수 있도록 하기 위함이다.(기본적으로 Strict Mode 에서 활성화된다.)
 // useEffect 가 실행되고 clearup 한 뒤에 다시 실행돼도, 한 번만 실행된 것과 차이가 없어야 한다.
 export function createConnection() {
-  // A real implementation would actually connect to the server
-  return {
-    connect() {
-      console.log('✅ Connecting...');
-    },
-    disconnect() {
-      console.log('❌ Disconnected.');
-    }
-  };
+  // 공용 mock 채팅 서버의 기본 room 에 연결한다.
+  return createChatConnection();
 }
 
 export const ChatRoom = () => {
@@ -139,12 +134,9 @@ export const FIX_AN_INTERVAL_THAT_FIRES_TWICE = () => {
   return <h1>{count}</h1>
 }
 
+// 기본 3초 뒤에 응답한다. Network conditions 패널에서 지연/실패/응답 순서를 바꿔볼 수 있다.
 const fetchBio = (person) => {
-  return new Promise((resolve) => {
-    setTimeout(() => {
-      resolve(`This is ${person}'s bio.`);
-    }, 3000);
-  })
+  return simulateResponse(3000, () => `This is ${person}'s bio.`);
 }
 
 export const FIX_FETCHING_INSIDE_AN_EFFECT = () => {
@@ -157,6 +149,8 @@ export const FIX_FETCHING_INSIDE_AN_EFFECT = () => {
     setBio(null);
     fetchBio(person).then(result => {
       !ignore && setBio(result);
+    }, error => {
+      !ignore && setBio(`Failed to load ${person}'s bio: ${error.message}`);
     });
   
     return () => {
@@ -177,4 +171,13 @@ export const FIX_FETCHING_INSIDE_AN_EFFECT = () => {
       <p><i>{bio ?? 'Loading...'}</i></p>
     </>
   )
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { VideoPlayerExample, ChatRoom };
+export const challenges = {
+  FOCUS_A_FIELD_ON_MOUNT,
+  FOCUS_A_FIELD_CONDITIONALLY: { component: FOCUS_A_FIELD_CONDITIONALLY, props: { shouldFocus: true } },
+  FIX_AN_INTERVAL_THAT_FIRES_TWICE,
+  FIX_FETCHING_INSIDE_AN_EFFECT,
+};
@@ -19,7 +19,15 @@
  * 12. 데이터 페치 - clearnup 함수를 작성한다. 하지만 hook 으로 추출하거나, 프레임워크, 라이브러리를 사용하는게 더 낫다.
  */
 
-import { useState, useEffect, useMemo, useSyncExternalStore } from "react";
+import { useState, useEffect, useMemo, useRef } from "react";
+import {
+  useMediaQuery,
+  useDocumentVisibility,
+  useLocalStorage,
+  useWindowSize,
+  useGeolocation,
+} from "../hooks/browserStores";
+import { useDrag, getSwipeDirection } from "../hooks/gestures";
 
 // ========== props/state 를 이용하여 다른 state 를 변경하는 경우 ==========
 export const Form = () => {
@@ -231,9 +239,16 @@ const Game = () => {
 }
 
 // ========== 상태 변경을 부모 컴포넌트에 알릴 때 ==========
-const isCloserToRightEdge = (e) => true;
-const Toggle = ({ onChange }) => {
+// thumb 가 움직일 수 있는 거리(px)
+const TOGGLE_TRAVEL = 24;
+// 끌어서 놓았을 때 thumb 가 오른쪽 끝에 더 가까우면 켠다.
+const isCloserToRightEdge = (isOn, { dx }) => (isOn ? TOGGLE_TRAVEL : 0) + dx > TOGGLE_TRAVEL / 2;
+
+export const Toggle = ({ onChange }) => {
   const [isOn, setIsOn] = useState(false);
+  const switchRef = useRef(null);
+  // 끌었다 놓은 뒤에 따라오는 click 은 무시한다.
+  const wasDraggedRef = useRef(false);
 
   // 핸들러에서 state 를 변경하면 onChange 를 호출하는 패턴
   // useEffect(() => {
@@ -248,12 +263,20 @@ const Toggle = ({ onChange }) => {
   }
 
   function handleClick() {
+    if (wasDraggedRef.current) {
+      wasDraggedRef.current = false;
+      return;
+    }
     // setIsOn(!isOn);
     updateToggle(!isOn);
   }
 
-  function handleDragEnd(e) {
-    if (isCloserToRightEdge(e)) {
+  function handleDragEnd(drag) {
+    if (drag.dx === 0) return;
+    wasDraggedRef.current = true;
+    // 빠르게 튕기면 위치와 상관없이 튕긴 방향으로
+    const direction = getSwipeDirection(drag, { distance: TOGGLE_TRAVEL });
+    if (direction === "right" || (direction !== "left" && isCloserToRightEdge(isOn, drag))) {
       // setIsOn(true);
       updateToggle(true);
     } else {
@@ -261,6 +284,49 @@ const Toggle = ({ onChange }) => {
       updateToggle(false);
     }
   }
+
+  const drag = useDrag({
+    ref: switchRef,
+    bounds: isOn ? { left: -TOGGLE_TRAVEL, right: 0 } : { left: 0, right: TOGGLE_TRAVEL },
+    onStart: () => {
+      wasDraggedRef.current = false;
+    },
+    onEnd: handleDragEnd,
+  });
+  const offset = (isOn ? TOGGLE_TRAVEL : 0) + drag.dx;
+
+  return (
+    <button
+      ref={switchRef}
+      role="switch"
+      aria-checked={isOn}
+      aria-label="Toggle"
+      onClick={handleClick}
+      style={{
+        position: "relative",
+        width: TOGGLE_TRAVEL + 28,
+        height: 28,
+        padding: 0,
+        border: "none",
+        borderRadius: 14,
+        backgroundColor: isOn ? "#4caf50" : "#ccc",
+        touchAction: "none",
+        cursor: drag.isDragging ? "grabbing" : "grab",
+      }}
+    >
+      <span style={{
+        position: "absolute",
+        top: 2,
+        left: 2,
+        width: 24,
+        height: 24,
+        borderRadius: "50%",
+        backgroundColor: "white",
+        transform: `translateX(${offset}px)`,
+        transition: drag.isDragging ? "none" : "transform 0.15s",
+      }} />
+    </button>
+  );
 }
 
 // ========== 부모 컴포넌트에 데이터 보낼 때 ==========
@@ -286,44 +352,51 @@ const Child = ({ data }) => {
 }
 
 // ========== 외부 스토어 사용(react 18) ==========
-const useOnlineStatus = () => {
-  const [isOnline, setIsOnline] = useState(true);
-
-  useEffect(() => {
-    function updateState() {
-      setIsOnline(navigator.onLine);
-    }
-
-    updateState();
-
-    window.addEventListener("online", updateState);
-    window.addEventListener("offline", updateState);
-
-    return () => {
-      window.removeEventListener("online", updateState);
-      window.removeEventListener("offline", updateState);
-    }
-  }, []);
-
-  return isOnline;
-}
-
-const subscribe = (callback) => {
-  window.addEventListener("online", callback);
-  window.addEventListener("offline", callback);
-
-  return () => {
-    window.removeEventListener("online", callback);
-    window.removeEventListener("offline", callback);
+// 처음 useOnlineStatus 는 effect 에서 navigator.onLine 을 state 에 옮겨서, 첫 렌더링에는 오프라인이어도 항상 true 였다.
+// useSyncExternalStore 로 만든 버전은 src/hooks/useOnlineStatus.js 에 있다. (StatusBar, SaveButton, useChatRoom 에서 사용)
+
+// 다른 브라우저 값도 createExternalStore(src/hooks/createExternalStore.js)로 같은 모양의 store 를 만들어서 구독한다.
+// effect 로 state 를 맞추지 않으므로 첫 렌더링부터 올바른 값이 나온다.
+const isNarrow = size => size.width < 600;
+const Location = () => {
+  const { status, coords, error } = useGeolocation();
+  if (status === 'ready') {
+    return <>{coords.latitude.toFixed(4)}, {coords.longitude.toFixed(4)} (±{Math.round(coords.accuracy)}m)</>;
   }
+  return <>{error ?? status}</>;
 }
+export const BrowserStores = () => {
+  const prefersDark = useMediaQuery('(prefers-color-scheme: dark)');
+  const visibility = useDocumentVisibility();
+  const [note, setNote] = useLocalStorage('browser-stores-note');
+  const { width, height } = useWindowSize();
+  const narrow = useWindowSize(isNarrow);
+  const [showLocation, setShowLocation] = useState(false);
 
-const useOnlineStatusSyncExternalStore = () => {
-  return useSyncExternalStore(
-    subscribe,
-    () => navigator.onLine,
-    () => true  
-  )
+  return (
+    <dl>
+      <dt>prefers-color-scheme: dark</dt>
+      <dd>{prefersDark ? 'yes' : 'no'}</dd>
+      <dt>document.visibilityState</dt>
+      <dd>{visibility}</dd>
+      <dt>window size</dt>
+      <dd>{width} × {height} {narrow && '(narrow)'}</dd>
+      <dt>localStorage (다른 탭에서 바꿔도 반영된다)</dt>
+      <dd>
+        <input
+          aria-label="Note"
+          value={note ?? ''}
+          onChange={e => setNote(e.target.value === '' ? null : e.target.value)}
+        />
+      </dd>
+      <dt>geolocation</dt>
+      <dd>
+        {showLocation
+          ? <Location />
+          : <button onClick={() => setShowLocation(true)}>Show my location</button>}
+      </dd>
+    </dl>
+  );
 }
 
 // ========== 데이터 페칭(cleanup) ==========
@@ -541,4 +614,23 @@ export const SUBMIT_A_FORM_WITHOUT_EFFECTS = () => {
       </button>
     </form>
   );
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+// 위쪽의 예시 컴포넌트들은 코드 설명용이라 렌더링하지 않는다. (TodoList 는 getFilteredTodos 가 끝나지 않는다.)
+export const demos = {
+  BrowserStores,
+  Toggle: { component: Toggle, props: { onChange: isOn => console.log("Toggle", isOn) } },
+};
+export const challenges = {
+  TRANSFORM_DATA_WITHOUT_EFFECTS,
+  CACHE_A_CALCULATION_WITHOUT_EFFECTS,
+  RESET_STATE_WITHOUT_EFFECTS: {
+    component: RESET_STATE_WITHOUT_EFFECTS,
+    props: {
+      savedContact: { id: 0, name: 'Taylor', email: 'taylor@mail.com' },
+      onSave: (data) => console.log('Saved', data),
+    },
+  },
+  SUBMIT_A_FORM_WITHOUT_EFFECTS,
+};
@@ -0,0 +1,79 @@
+/**
+ * 연결 inspector 패널
+ * 현재 예제의 effect 가 만든 채팅 연결을 모두 보여준다. (src/chat/connectionRegistry.js)
+ * roomId, serverUrl, isEncrypted 를 바꾸면 이전 연결이 closed 가 되고 새 연결이 열리는 것을 확인할 수 있다.
+ * 연결을 만든 effect 가 정리됐는데도 닫히지 않은 연결은 Leak 으로 표시한다.
+ */
+
+import { useState, useSyncExternalStore } from 'react';
+import { subscribe, getConnections, clearClosedConnections, isLeaked } from '../chat/connectionRegistry';
+
+const formatTime = (time) => {
+  if (time === null) return '-';
+  const date = new Date(time);
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+}
+
+export const ConnectionInspector = ({ source }) => {
+  const connections = useSyncExternalStore(subscribe, getConnections, getConnections);
+  const [showAll, setShowAll] = useState(false);
+  const visibleConnections = showAll
+    ? connections
+    : connections.filter(connection => connection.owner?.source === source);
+  const leakCount = visibleConnections.filter(isLeaked).length;
+
+  return (
+    <aside className="connection-inspector" aria-label="Connections">
+      <header className="console-panel-toolbar">
+        <b>Connections</b>
+        {leakCount > 0 && <mark>{leakCount} leaked</mark>}
+        <label>
+          <input
+            type="checkbox"
+            checked={showAll}
+            onChange={e => setShowAll(e.target.checked)}
+          />
+          all examples
+        </label>
+        <button onClick={clearClosedConnections}>Clear closed</button>
+      </header>
+      <table>
+        <thead>
+          <tr>
+            <th>#</th>
+            <th>Room</th>
+            <th>URL</th>
+            <th>State</th>
+            <th>Opened</th>
+            <th>Listeners</th>
+            <th>Owner</th>
+          </tr>
+        </thead>
+        <tbody>
+          {visibleConnections.map(connection => (
+            <tr
+              key={connection.id}
+              className={`connection-row connection-row--${connection.state}` + (isLeaked(connection) ? ' connection-row--leaked' : '')}
+            >
+              <td>{connection.id}</td>
+              <td>{connection.encrypted && '🔐 '}{connection.roomId}</td>
+              <td>{connection.serverUrl} ({connection.transport})</td>
+              <td>
+                {connection.state}
+                {isLeaked(connection) && <> <mark>Leak</mark></>}
+              </td>
+              <td>{formatTime(connection.openedAt)}</td>
+              <td>{connection.listenerCount}</td>
+              <td>
+                {connection.owner
+                  ? <code>{connection.owner.component} #{connection.owner.effectId}</code>
+                  : '-'}
+              </td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </aside>
+  );
+}
@@ -0,0 +1,68 @@
+/**
+ * 실행 중인 예제 옆에 붙는 콘솔 패널
+ * 현재 예제(source)의 로그만 보여주고, 레벨별로 필터링할 수 있다.
+ */
+
+import { useState, useSyncExternalStore, useEffect, useRef } from 'react';
+import { LEVELS, subscribe, getEntries, clearConsole } from './consoleCapture';
+
+const formatTime = (date) => {
+  const pad = (n, size = 2) => String(n).padStart(size, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+export const ConsolePanel = ({ source }) => {
+  const entries = useSyncExternalStore(subscribe, getEntries, getEntries);
+  const [hiddenLevels, setHiddenLevels] = useState(() => new Set(['debug']));
+  const listRef = useRef(null);
+
+  const visibleEntries = entries.filter(entry =>
+    entry.source === source && !hiddenLevels.has(entry.level)
+  );
+
+  // 새 로그가 오면 맨 아래로 스크롤한다. (DOM 동기화)
+  useEffect(() => {
+    const list = listRef.current;
+    list.scrollTop = list.scrollHeight;
+  }, [visibleEntries.length]);
+
+  function handleToggleLevel(level) {
+    setHiddenLevels(prev => {
+      const next = new Set(prev);
+      if (next.has(level)) {
+        next.delete(level);
+      } else {
+        next.add(level);
+      }
+      return next;
+    });
+  }
+
+  return (
+    <aside className="console-panel" aria-label="Console">
+      <header className="console-panel-toolbar">
+        <b>Console</b>
+        {LEVELS.map(level => (
+          <label key={level}>
+            <input
+              type="checkbox"
+              checked={!hiddenLevels.has(level)}
+              onChange={() => handleToggleLevel(level)}
+            />
+            {level}
+          </label>
+        ))}
+        <button onClick={clearConsole}>Clear</button>
+      </header>
+      <ol ref={listRef} className="console-panel-entries">
+        {visibleEntries.map(entry => (
+          <li key={entry.id} className={`console-entry console-entry--${entry.level}`}>
+            <time>{formatTime(entry.time)}</time>
+            <span className="console-entry-source">{entry.source?.split('/').pop()}</span>
+            <pre>{entry.text}</pre>
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
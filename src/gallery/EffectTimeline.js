@@ -0,0 +1,38 @@
+/**
+ * Effect 타임라인 패널
+ * 현재 예제에서 실행된 effect setup(▶)/cleanup(■) 을 순서대로 보여준다.
+ * StrictMode 가 추가로 실행한 호출에는 StrictMode 표시를 붙인다.
+ */
+
+import { useSyncExternalStore } from 'react';
+import { subscribe, getEntries, clearEffectTimeline } from './effectTracing';
+
+export const EffectTimeline = ({ source }) => {
+  const entries = useSyncExternalStore(subscribe, getEntries, getEntries);
+  const visibleEntries = entries.filter(entry => entry.source === source);
+  const startTime = visibleEntries[0]?.time ?? 0;
+
+  return (
+    <aside className="effect-timeline" aria-label="Effect timeline">
+      <header className="console-panel-toolbar">
+        <b>Effects</b>
+        <button onClick={clearEffectTimeline}>Clear</button>
+      </header>
+      <ol className="console-panel-entries">
+        {visibleEntries.map(entry => (
+          <li
+            key={entry.id}
+            className={`effect-entry effect-entry--${entry.phase}` + (entry.strict ? ' effect-entry--strict' : '')}
+          >
+            <time>+{Math.round(entry.time - startTime)}ms</time>
+            <span>{entry.phase === 'setup' ? '▶' : '■'}</span>
+            <code>{entry.component}</code>
+            <span>{entry.kind === 'layout' ? 'useLayoutEffect' : 'useEffect'} #{entry.effectId}</span>
+            <span>{entry.phase}</span>
+            {entry.strict && <mark>StrictMode</mark>}
+          </li>
+        ))}
+      </ol>
+    </aside>
+  );
+}
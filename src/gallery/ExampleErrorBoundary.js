@@ -0,0 +1,95 @@
+/**
+ * 예제별 Error Boundary
+ * 렌더링 중(혹은 라이프사이클/effect 에서) 던져진 에러가 앱 전체를 unmount 시키지 않도록 예제 단위로 감싼다.
+ * - 에러 메시지, 에러를 던진 컴포넌트와 그 위치를 보여준다.
+ * - "Reset example" 을 누르면 key 를 바꿔서 예제를 새로 mount 한다. (state 도 초기화된다.)
+ *
+ * 주의) 이벤트 핸들러, setTimeout, Promise 콜백에서 던진 에러는 Error Boundary 가 잡지 않는다.
+ * 렌더링과 관련 없는 코드이기 때문이다. 이런 에러는 try/catch 로 직접 처리해야 한다.
+ * Error Boundary 는 아직 hook 이 없어서 class 컴포넌트로 작성해야 한다.
+ */
+
+import { Component, Fragment } from 'react';
+
+// componentStack 의 한 줄을 { name, location } 으로 바꾼다.
+// Chrome: "    at Heading (http://localhost:3000/static/js/bundle.js:123:45)"
+// Firefox/Safari: "Heading@http://localhost:3000/static/js/bundle.js:123:45"
+const FRAME_PATTERNS = [
+  /^\s*at (\S+) \((.+)\)$/,
+  /^\s*at (\S+)$/,
+  /^(\S*)@(.+)$/,
+];
+
+export function parseComponentStack(componentStack = '') {
+  return componentStack
+    .split('\n')
+    .map(line => line.trim())
+    .filter(line => line !== '')
+    .map(line => {
+      for (const pattern of FRAME_PATTERNS) {
+        const match = line.match(pattern);
+        if (match) {
+          return { name: match[1] || '(anonymous)', location: match[2] ?? null };
+        }
+      }
+      return { name: line, location: null };
+    });
+}
+
+export class ExampleErrorBoundary extends Component {
+  state = {
+    error: null,
+    componentStack: null,
+    resetKey: 0,
+  };
+
+  static getDerivedStateFromError(error) {
+    return { error };
+  }
+
+  componentDidCatch(error, info) {
+    this.setState({ componentStack: info.componentStack });
+  }
+
+  handleReset = () => {
+    this.setState(prev => ({
+      error: null,
+      componentStack: null,
+      resetKey: prev.resetKey + 1,
+    }));
+  }
+
+  render() {
+    const { error, componentStack, resetKey } = this.state;
+
+    if (error === null) {
+      return <Fragment key={resetKey}>{this.props.children}</Fragment>;
+    }
+
+    const [thrower] = parseComponentStack(componentStack ?? '');
+
+    return (
+      <div role="alert" className="example-error">
+        <h2>Something went wrong in {this.props.name}</h2>
+        <pre className="example-error-message">{String(error?.message ?? error)}</pre>
+        {thrower && (
+          <p>
+            Thrown by <code>&lt;{thrower.name} /&gt;</code>
+            {thrower.location && <> at <code>{thrower.location}</code></>}
+          </p>
+        )}
+        <button onClick={this.handleReset}>Reset example</button>
+        <details>
+          <summary>Component stack</summary>
+          <pre>{componentStack}</pre>
+        </details>
+        {error?.stack && (
+          <details>
+            <summary>Error stack</summary>
+            <pre>{error.stack}</pre>
+          </details>
+        )}
+      </div>
+    );
+  }
+}
@@ -0,0 +1,133 @@
+/**
+ * 예제 갤러리
+ * 왼쪽에는 레지스트리의 챕터/레슨/예제 목록을, 오른쪽에는 선택된 예제를 렌더링한다.
+ * 선택 상태는 URL hash 에 있으므로 `#/chapter/lesson/example` 로 바로 들어올 수 있다.
+ */
+
+import { StrictMode, Fragment, useState } from 'react';
+import { chapters, findExample } from './registry';
+import { useHashPath, toHref } from './useHashPath';
+import { ExampleErrorBoundary } from './ExampleErrorBoundary';
+import { ConsolePanel } from './ConsolePanel';
+import { EffectTimeline } from './EffectTimeline';
+import { ConnectionInspector } from './ConnectionInspector';
+import { useLeakReport } from './leakDetection';
+import { RenderHighlightToggle } from './RenderHighlightToggle';
+import { EffectTraceScope } from './effectTracing';
+import { ChatTransportSelect } from '../chat/chatTransport';
+import { NetworkConditionsPanel } from '../network/NetworkConditionsPanel';
+import './Gallery.css';
+
+export const Gallery = () => {
+  const path = useHashPath();
+  const example = findExample(path);
+  // 예제를 바꿔도 유지되도록 Gallery 에 둔다.
+  const [isStrictMode, setIsStrictMode] = useState(true);
+
+  return (
+    <div className="gallery">
+      <nav className="gallery-nav">
+        {chapters.map(chapter => (
+          <section key={chapter.id}>
+            <h2>{chapter.title}</h2>
+            {chapter.lessons.map(lesson => (
+              <LessonLinks key={lesson.id} lesson={lesson} selectedPath={path} />
+            ))}
+          </section>
+        ))}
+      </nav>
+      <main className="gallery-main">
+        {example === null ? (
+          <EmptyExample path={path} />
+        ) : (
+          <ExampleView
+            key={example.path}
+            example={example}
+            isStrictMode={isStrictMode}
+            onStrictModeChange={setIsStrictMode}
+          />
+        )}
+      </main>
+    </div>
+  );
+}
+
+const LessonLinks = ({ lesson, selectedPath }) => {
+  if (lesson.examples.length === 0) {
+    return null;
+  }
+
+  return (
+    <details open={selectedPath.startsWith(lesson.path + '/')}>
+      <summary>{lesson.id}</summary>
+      <ul>
+        {lesson.examples.map(example => (
+          <li key={example.id} className={`gallery-link gallery-link--${example.kind}`}>
+            <a
+              href={toHref(example.path)}
+              aria-current={example.path === selectedPath ? 'page' : undefined}
+            >
+              {example.id}
+            </a>
+          </li>
+        ))}
+      </ul>
+    </details>
+  );
+}
+
+// key 로 path 를 넘겨서, 다른 예제를 선택하면 state 가 초기화되도록 한다.
+// StrictMode 를 켜고 끄면 감싸는 컴포넌트 타입이 바뀌므로 예제가 새로 mount 된다.
+// 다른 예제로 넘어가면 이 예제가 정리하지 않은 타이머/listener 를 알린다. (data-example-source 로 예제 DOM 을 구분한다.)
+const ExampleView = ({ example, isStrictMode, onStrictModeChange }) => {
+  const { component: Example, props } = example;
+  const Mode = isStrictMode ? StrictMode : Fragment;
+  useLeakReport(example.path);
+
+  return (
+    <>
+      <header className="gallery-header">
+        <small>{example.chapterId} / {example.lessonId} / {example.kind}</small>
+        <h1>{example.id}</h1>
+        <label>
+          <input
+            type="checkbox"
+            checked={isStrictMode}
+            onChange={e => onStrictModeChange(e.target.checked)}
+          />
+          StrictMode
+        </label>
+        {' '}
+        <RenderHighlightToggle />
+        {' '}
+        <ChatTransportSelect />
+      </header>
+      <div className="gallery-workspace">
+        <div className="gallery-example">
+          <ExampleErrorBoundary name={example.id}>
+            <EffectTraceScope source={example.path}>
+              <Mode>
+                <div className="gallery-example-root" data-example-source={example.path}>
+                  <Example {...props} />
+                </div>
+              </Mode>
+            </EffectTraceScope>
+          </ExampleErrorBoundary>
+        </div>
+        <div className="gallery-panels">
+          <NetworkConditionsPanel />
+          <ConsolePanel source={example.path} />
+          <EffectTimeline source={example.path} />
+          <ConnectionInspector source={example.path} />
+        </div>
+      </div>
+    </>
+  );
+}
+
+const EmptyExample = ({ path }) => {
+  if (path === '') {
+    return <p>Choose an example from the list.</p>;
+  }
+  return <p>Unknown example: <code>{path}</code></p>;
+}
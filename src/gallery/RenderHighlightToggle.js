@@ -0,0 +1,21 @@
+/**
+ * 렌더링 표시(renderTracking) 켜기/끄기
+ */
+
+import { useSyncExternalStore } from 'react';
+import { subscribe, isRenderHighlightEnabled, setRenderHighlight } from './renderTracking';
+
+export const RenderHighlightToggle = () => {
+  const isEnabled = useSyncExternalStore(subscribe, isRenderHighlightEnabled, isRenderHighlightEnabled);
+
+  return (
+    <label>
+      <input
+        type="checkbox"
+        checked={isEnabled}
+        onChange={e => setRenderHighlight(e.target.checked)}
+      />
+      Highlight renders
+    </label>
+  );
+}
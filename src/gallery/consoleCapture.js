@@ -0,0 +1,97 @@
+/**
+ * console 캡처
+ * console.log/info/warn/error/debug 를 감싸서, 원래 출력은 그대로 두고 로그를 스토어에 쌓는다.
+ * ConsolePanel 은 useSyncExternalStore 로 이 스토어를 구독한다.
+ *
+ * - 각 로그에는 시간과 "어느 예제에서 찍혔는지(source)" 가 기록된다.
+ * - source 는 로그가 찍힌 순간의 getSource() 값이다. source 가 바뀌면(예제 전환) 이전 로그를 지운다.
+ *   예제를 바꾸면 새 예제가 먼저 렌더링되고 그 다음에 이전 예제의 cleanup 이 실행되므로,
+ *   이전 예제의 cleanup 로그(❌ Disconnected 등)는 새 예제 쪽에 남는다.
+ */
+
+export const LEVELS = ['log', 'info', 'warn', 'error', 'debug'];
+const MAX_ENTRIES = 500;
+
+let entries = [];
+let currentSource = null;
+let nextId = 0;
+let listeners = new Set();
+let isNotifyScheduled = false;
+let uninstall = null;
+
+// 렌더링 도중에 찍힌 로그(React 경고 등)로 바로 setState 하지 않도록 알림은 microtask 로 모아서 보낸다.
+function emitChange() {
+  if (isNotifyScheduled) return;
+  isNotifyScheduled = true;
+  queueMicrotask(() => {
+    isNotifyScheduled = false;
+    listeners.forEach(listener => listener());
+  });
+}
+
+function formatArg(arg) {
+  if (typeof arg === 'string') return arg;
+  if (arg instanceof Error) return arg.stack ?? `${arg.name}: ${arg.message}`;
+  if (typeof arg === 'function') return `ƒ ${arg.name || 'anonymous'}()`;
+  try {
+    return JSON.stringify(arg) ?? String(arg);
+  } catch {
+    return String(arg);
+  }
+}
+
+export function addEntry(level, args, source = currentSource) {
+  if (source !== currentSource) {
+    currentSource = source;
+    entries = [];
+  }
+  const entry = {
+    id: nextId++,
+    level,
+    time: new Date(),
+    source,
+    text: args.map(formatArg).join(' '),
+  };
+  entries = [...entries.slice(-(MAX_ENTRIES - 1)), entry];
+  emitChange();
+}
+
+export function clearConsole() {
+  entries = [];
+  emitChange();
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getEntries() {
+  return entries;
+}
+
+// 앱 시작 시 한 번만 호출한다. 반환값(또는 uninstallConsoleCapture)으로 원래 console 을 되돌린다.
+export function installConsoleCapture({ getSource = () => null } = {}) {
+  if (uninstall !== null) return uninstall;
+
+  const originals = {};
+  LEVELS.forEach(level => {
+    originals[level] = console[level];
+    console[level] = (...args) => {
+      originals[level].apply(console, args);
+      addEntry(level, args, getSource());
+    };
+  });
+
+  uninstall = () => {
+    LEVELS.forEach(level => {
+      console[level] = originals[level];
+    });
+    uninstall = null;
+  };
+  return uninstall;
+}
+
+export function uninstallConsoleCapture() {
+  uninstall?.();
+}
@@ -0,0 +1,165 @@
+/**
+ * Effect 타임라인 기록
+ * React 의 useEffect/useLayoutEffect 를 감싸서, <EffectTraceScope> 안에서 실행된 effect 의 setup/cleanup 을 기록한다.
+ * 예제 코드는 그대로 `import { useEffect } from 'react'` 를 쓰면 된다. (개발 모드에서만 설치한다.)
+ *
+ * StrictMode 는 개발 모드에서 mount 직후에 effect 의 cleanup -> setup 을 한 번 더 실행한다.
+ * 이 때는 다시 렌더링하지 않고 "같은 setup 함수" 를 다시 호출한다.
+ * 렌더링마다 setup 을 새로 감싸므로, 같은 setup 이 두 번째로 호출되면 StrictMode 의 재실행이라고 판단한다.
+ * (그 직전의 cleanup 도 StrictMode 가 흉내낸 unmount 이다.)
+ *
+ * 다른 devtool 이 effect 와 자원(연결 등)을 연결지을 수 있도록,
+ * setup 이 실행되는 동안 getCurrentEffect() 로 실행 중인 effect 를 알려주고, 그 effect 가 정리되면 onEffectCleanup listener 를 호출한다.
+ */
+
+import React, { createContext, useContext, useRef } from 'react';
+
+const MAX_ENTRIES = 300;
+
+let entries = [];
+let currentSource = null;
+let nextEntryId = 0;
+let nextEffectId = 0;
+let listeners = new Set();
+const cleanupListeners = new Set();
+let currentEffect = null;
+let isNotifyScheduled = false;
+let uninstall = null;
+
+function emitChange() {
+  if (isNotifyScheduled) return;
+  isNotifyScheduled = true;
+  queueMicrotask(() => {
+    isNotifyScheduled = false;
+    listeners.forEach(listener => listener());
+  });
+}
+
+function addEntry(source, fields) {
+  if (source !== currentSource) {
+    currentSource = source;
+    entries = [];
+  }
+  const entry = { id: nextEntryId++, source, time: performance.now(), strict: false, ...fields };
+  entries = [...entries.slice(-(MAX_ENTRIES - 1)), entry];
+  emitChange();
+  return entry.id;
+}
+
+function markStrict(entryId) {
+  entries = entries.map(entry => entry.id === entryId ? { ...entry, strict: true } : entry);
+  emitChange();
+}
+
+export function clearEffectTimeline() {
+  entries = [];
+  emitChange();
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+export function getEntries() {
+  return entries;
+}
+
+// setup 이 실행되는 동안에만 { source, kind, effectId, component } 를 돌려준다. (setup 이 실행될 때마다 새 객체)
+export function getCurrentEffect() {
+  return currentEffect;
+}
+
+// getCurrentEffect() 로 받은 effect 가 정리된 뒤(cleanup 이 없어도) listener(effect) 를 호출한다.
+export function onEffectCleanup(listener) {
+  cleanupListeners.add(listener);
+  return () => cleanupListeners.delete(listener);
+}
+
+// 기록할 source(예제 경로). Provider 밖의 effect 는 기록하지 않는다.
+const EffectTraceContext = createContext(null);
+
+export const EffectTraceScope = ({ source, children }) => {
+  return (
+    <EffectTraceContext.Provider value={source}>
+      {children}
+    </EffectTraceContext.Provider>
+  );
+}
+
+// 렌더링 중인 컴포넌트 이름 (개발 모드에서만 알 수 있다.)
+function getRenderingComponentName() {
+  const owner = React.__SECRET_INTERNALS_DO_NOT_USE_OR_YOU_WILL_BE_FIRED?.ReactCurrentOwner?.current;
+  const type = owner?.type;
+  return type?.displayName || type?.name || 'Anonymous';
+}
+
+function traceSetup(setup, { source, kind, effectId, component }) {
+  let runs = 0;
+  let lastCleanupEntryId = null;
+
+  return () => {
+    runs += 1;
+    const strict = runs > 1;
+    if (strict && lastCleanupEntryId !== null) {
+      markStrict(lastCleanupEntryId);
+    }
+    const setupEntryId = addEntry(source, { kind, effectId, component, phase: 'setup' });
+    if (strict) {
+      markStrict(setupEntryId);
+    }
+
+    const effect = { source, kind, effectId, component };
+    const prevEffect = currentEffect;
+    currentEffect = effect;
+    let cleanup;
+    try {
+      cleanup = setup();
+    } finally {
+      currentEffect = prevEffect;
+    }
+    if (cleanup !== undefined && typeof cleanup !== 'function') {
+      return cleanup;
+    }
+    return () => {
+      if (cleanup !== undefined) {
+        lastCleanupEntryId = addEntry(source, { kind, effectId, component, phase: 'cleanup' });
+        cleanup();
+      }
+      cleanupListeners.forEach(listener => listener(effect));
+    };
+  };
+}
+
+function createTracedHook(originalHook, kind) {
+  return function useTracedHook(setup, deps) {
+    const source = useContext(EffectTraceContext);
+    const effectIdRef = useRef(null);
+    if (effectIdRef.current === null) {
+      effectIdRef.current = nextEffectId++;
+    }
+
+    if (source === null) {
+      return originalHook(setup, deps);
+    }
+    const component = getRenderingComponentName();
+    return originalHook(traceSetup(setup, { source, kind, effectId: effectIdRef.current, component }), deps);
+  };
+}
+
+// 앱 시작 시(렌더링 전에) 한 번만 호출한다.
+// hook 호출 순서가 바뀌지 않도록, 렌더링이 시작된 뒤에 설치/해제하면 안 된다.
+export function installEffectTracing() {
+  if (uninstall !== null) return uninstall;
+
+  const { useEffect, useLayoutEffect } = React;
+  React.useEffect = createTracedHook(useEffect, 'effect');
+  React.useLayoutEffect = createTracedHook(useLayoutEffect, 'layout');
+
+  uninstall = () => {
+    React.useEffect = useEffect;
+    React.useLayoutEffect = useLayoutEffect;
+    uninstall = null;
+  };
+  return uninstall;
+}
@@ -0,0 +1,9 @@
+/**
+ * react-dom 보다 먼저 import 해서 렌더링 표시용 hook 을 설치한다. (src/gallery/renderTracking.js)
+ */
+
+import { installRenderTracking } from './renderTracking';
+
+if (process.env.NODE_ENV !== 'production') {
+  installRenderTracking();
+}
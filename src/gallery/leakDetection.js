@@ -0,0 +1,232 @@
+/**
+ * 타이머/이벤트 listener/animation frame 누수 감지 (개발 모드)
+ * setTimeout, setInterval, requestAnimationFrame, addEventListener 를 감싸서, 예제 코드가 만든 것만 예제 경로(source)별로 기록한다.
+ * 예제가 unmount 되면 아직 정리되지 않은 것들을 만든 위치(stack trace)와 함께 console.warn 으로 알려준다.
+ *
+ * 예제 코드가 만들었는지는 이렇게 판단한다.
+ * - 예제의 effect setup 안에서 만들었다. (effectTracing 의 getCurrentEffect)
+ * - 예제 DOM 에서 발생한 이벤트를 처리하는 중에 만들었다. (window.event 의 target 이 data-example-source 안에 있다.)
+ * - 예제 코드가 만든 타이머/frame 의 callback 안에서 만들었다. (callback 을 실행하는 동안 source 를 이어받는다.)
+ *
+ * setTimeout 과 requestAnimationFrame 은 callback 이 실행되면 정리된 것으로 본다.
+ */
+
+import { useEffect } from 'react';
+import { getCurrentEffect } from './effectTracing';
+
+// id -> { id, source, kind, description, stack, handle, target, type, listener, capture }
+const resources = new Map();
+let nextId = 0;
+// 타이머/frame callback 을 실행하는 동안의 source
+let callbackSource = null;
+let uninstall = null;
+
+const RELEASE_VERBS = {
+  timeout: 'cleared',
+  interval: 'cleared',
+  frame: 'cancelled',
+  listener: 'removed',
+};
+
+function getSourceFromEvent() {
+  const target = window.event?.target;
+  if (!(target instanceof Element)) return null;
+  return target.closest('[data-example-source]')?.dataset.exampleSource ?? null;
+}
+
+function getSource() {
+  return callbackSource ?? getCurrentEffect()?.source ?? getSourceFromEvent();
+}
+
+// "Error" 줄과 감싼 함수들의 frame 을 빼고, 만든 위치부터 보여준다.
+function captureStack() {
+  return (new Error().stack ?? '').split('\n').slice(4).join('\n');
+}
+
+function track(source, fields) {
+  const id = nextId++;
+  resources.set(id, { id, source, stack: captureStack(), ...fields });
+  return id;
+}
+
+function findResource(kind, handle) {
+  for (const resource of resources.values()) {
+    if (resource.kind === kind && resource.handle === handle) {
+      return resource;
+    }
+  }
+  return null;
+}
+
+function release(kind, handle) {
+  const resource = findResource(kind, handle);
+  if (resource) {
+    resources.delete(resource.id);
+  }
+}
+
+function runWithSource(source, callback, args) {
+  const prevSource = callbackSource;
+  callbackSource = source;
+  try {
+    return callback(...args);
+  } finally {
+    callbackSource = prevSource;
+  }
+}
+
+function describeTarget(target) {
+  if (target === window) return 'window';
+  if (target === document) return 'document';
+  return target?.constructor?.name ?? 'target';
+}
+
+function getCapture(options) {
+  return typeof options === 'boolean' ? options : Boolean(options?.capture);
+}
+
+// 예제(source)가 만들고 아직 정리하지 않은 것들
+export function getLeaks(source) {
+  return [...resources.values()].filter(resource => resource.source === source);
+}
+
+// 정리되지 않은 것들을 알리고, 다시 알리지 않도록 기록에서 뺀다. (타이머 등은 그대로 남아 있다.)
+export function reportLeaks(source) {
+  const leaks = getLeaks(source);
+  leaks.forEach(leak => {
+    console.warn(
+      `Leak in ${source}: ${leak.description} was never ${RELEASE_VERBS[leak.kind]}.\nCreated at:\n${leak.stack}`
+    );
+    resources.delete(leak.id);
+  });
+  return leaks;
+}
+
+// 예제를 감싸는 컴포넌트에서 호출한다. unmount 되면 예제 안의 cleanup 이 모두 끝난 뒤에 알린다.
+// (부모의 cleanup 이 자식보다 먼저 실행되므로 microtask 로 미룬다.)
+export function useLeakReport(source) {
+  useEffect(() => {
+    return () => {
+      queueMicrotask(() => reportLeaks(source));
+    };
+  }, [source]);
+}
+
+// 앱 시작 시 한 번만 호출한다.
+export function installLeakDetection() {
+  if (uninstall !== null) return uninstall;
+
+  const original = {
+    setTimeout: window.setTimeout,
+    clearTimeout: window.clearTimeout,
+    setInterval: window.setInterval,
+    clearInterval: window.clearInterval,
+    requestAnimationFrame: window.requestAnimationFrame,
+    cancelAnimationFrame: window.cancelAnimationFrame,
+    addEventListener: EventTarget.prototype.addEventListener,
+    removeEventListener: EventTarget.prototype.removeEventListener,
+  };
+
+  window.setTimeout = function setTimeout(callback, delay, ...args) {
+    const source = getSource();
+    if (source === null || typeof callback !== 'function') {
+      return original.setTimeout.call(window, callback, delay, ...args);
+    }
+    const handle = original.setTimeout.call(window, (...callbackArgs) => {
+      release('timeout', handle);
+      runWithSource(source, callback, callbackArgs);
+    }, delay, ...args);
+    track(source, { kind: 'timeout', handle, description: `setTimeout(${delay ?? 0}ms)` });
+    return handle;
+  };
+  window.clearTimeout = function clearTimeout(handle) {
+    release('timeout', handle);
+    return original.clearTimeout.call(window, handle);
+  };
+
+  window.setInterval = function setInterval(callback, delay, ...args) {
+    const source = getSource();
+    if (source === null || typeof callback !== 'function') {
+      return original.setInterval.call(window, callback, delay, ...args);
+    }
+    const handle = original.setInterval.call(window, (...callbackArgs) => {
+      runWithSource(source, callback, callbackArgs);
+    }, delay, ...args);
+    track(source, { kind: 'interval', handle, description: `setInterval(${delay ?? 0}ms)` });
+    return handle;
+  };
+  window.clearInterval = function clearInterval(handle) {
+    release('interval', handle);
+    return original.clearInterval.call(window, handle);
+  };
+
+  if (original.requestAnimationFrame) {
+    window.requestAnimationFrame = function requestAnimationFrame(callback) {
+      const source = getSource();
+      if (source === null) {
+        return original.requestAnimationFrame.call(window, callback);
+      }
+      const handle = original.requestAnimationFrame.call(window, (time) => {
+        release('frame', handle);
+        runWithSource(source, callback, [time]);
+      });
+      track(source, { kind: 'frame', handle, description: 'requestAnimationFrame' });
+      return handle;
+    };
+    window.cancelAnimationFrame = function cancelAnimationFrame(handle) {
+      release('frame', handle);
+      return original.cancelAnimationFrame.call(window, handle);
+    };
+  }
+
+  EventTarget.prototype.addEventListener = function addEventListener(type, listener, options) {
+    const source = getSource();
+    const capture = getCapture(options);
+    const isTracked = [...resources.values()].some(resource =>
+      resource.kind === 'listener' && resource.target === this &&
+      resource.type === type && resource.listener === listener && resource.capture === capture
+    );
+    // 같은 listener 를 다시 등록하면 브라우저가 무시하므로 기록하지 않는다.
+    // once 로 등록한 listener 는 자동으로 해제되므로 기록하지 않는다.
+    if (source !== null && listener && !isTracked && !options?.once) {
+      track(source, {
+        kind: 'listener',
+        target: this,
+        type,
+        listener,
+        capture,
+        description: `'${type}' listener on ${describeTarget(this)}`,
+      });
+    }
+    return original.addEventListener.call(this, type, listener, options);
+  };
+  EventTarget.prototype.removeEventListener = function removeEventListener(type, listener, options) {
+    const capture = getCapture(options);
+    for (const resource of resources.values()) {
+      if (
+        resource.kind === 'listener' && resource.target === this &&
+        resource.type === type && resource.listener === listener && resource.capture === capture
+      ) {
+        resources.delete(resource.id);
+        break;
+      }
+    }
+    return original.removeEventListener.call(this, type, listener, options);
+  };
+
+  uninstall = () => {
+    window.setTimeout = original.setTimeout;
+    window.clearTimeout = original.clearTimeout;
+    window.setInterval = original.setInterval;
+    window.clearInterval = original.clearInterval;
+    if (original.requestAnimationFrame) {
+      window.requestAnimationFrame = original.requestAnimationFrame;
+      window.cancelAnimationFrame = original.cancelAnimationFrame;
+    }
+    EventTarget.prototype.addEventListener = original.addEventListener;
+    EventTarget.prototype.removeEventListener = original.removeEventListener;
+    resources.clear();
+    uninstall = null;
+  };
+  return uninstall;
+}
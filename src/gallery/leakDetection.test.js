@@ -0,0 +1,24 @@
+import { render, screen, fireEvent } from '@testing-library/react';
+import { installForTest } from '../testUtils';
+import { installLeakDetection, getLeaks, reportLeaks } from './leakDetection';
+
+test('reports intervals that were never cleared by example code', () => {
+  installForTest(installLeakDetection());
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const Leaky = () => {
+    function handleStart() {
+      setInterval(() => {}, 10);
+    }
+    return <button onClick={handleStart}>start</button>;
+  };
+  const { unmount } = render(<div data-example-source="test/Leaky"><Leaky /></div>);
+  fireEvent.click(screen.getByRole('button', { name: 'start' }));
+  unmount();
+
+  const [leak] = getLeaks('test/Leaky');
+  reportLeaks('test/Leaky');
+  expect(console.warn).toHaveBeenCalledWith(expect.stringMatching(
+    /^Leak in test\/Leaky: setInterval\(10ms\) was never cleared\.\nCreated at:\n.*handleStart/
+  ));
+  clearInterval(leak.handle);
+});
@@ -0,0 +1,94 @@
+/**
+ * 예제 레지스트리
+ * 각 학습 모듈은 `demos`, `challenges` 를 export 해서 자신이 보여줄 예제를 선언한다.
+ * - 값이 컴포넌트면 props 없이 렌더링한다.
+ * - props 가 필요하면 { component, props } 형태로 선언한다.
+ *
+ * 여기서는 모듈을 챕터별로 모아 트리(chapter > lesson > example)로 만들고,
+ * `chapter/lesson/example` 경로로 예제를 찾을 수 있도록 한다.
+ */
+
+import * as ReactingToINputWithState from '../managing_state/ReactingToINputWithState';
+import * as ChoosingTheStateStructure from '../managing_state/ChoosingTheStateStructure';
+import * as SharingStateBetweenComponents from '../managing_state/SharingStateBetweenComponents';
+import * as PreservingAndResettingState from '../managing_state/PreservingAndResettingState';
+import * as ExtractingStateLogicIntoAReducer from '../managing_state/ExtractingStateLogicIntoAReducer';
+import * as PassingDataDeeplyWithContext from '../managing_state/PassingDataDeeplyWithContext';
+import * as ScalingUpWithReducerAndContext from '../managing_state/ScalingUpWithReducerAndContext';
+
+import * as ReferencingValuesWithRefs from '../escape_hatches/ReferencingValuesWithRefs';
+import * as ManipulatingTheDomWithRefs from '../escape_hatches/ManipulatingTheDomWithRefs';
+import * as SynchronizingWithEffects from '../escape_hatches/SynchronizingWithEffects';
+import * as YouMightNotNeedAnEffect from '../escape_hatches/YouMightNotNeedAnEffect';
+import * as LifecycleOfReactiveEffects from '../escape_hatches/LifecycleOfReactiveEffects';
+import * as SeparatingEventsFromEffects from '../escape_hatches/SeparatingEventsFromEffects';
+import * as RemovingEffectDependencies from '../escape_hatches/RemovingEffectDependencies';
+import * as ReusingLogicWithCustomHooks from '../escape_hatches/ReusingLogicWithCustomHooks';
+
+// react.dev 의 목차 순서를 따른다.
+const sources = [
+  {
+    id: 'managing_state',
+    title: 'Managing State',
+    modules: {
+      ReactingToINputWithState,
+      ChoosingTheStateStructure,
+      SharingStateBetweenComponents,
+      PreservingAndResettingState,
+      ExtractingStateLogicIntoAReducer,
+      PassingDataDeeplyWithContext,
+      ScalingUpWithReducerAndContext,
+    },
+  },
+  {
+    id: 'escape_hatches',
+    title: 'Escape Hatches',
+    modules: {
+      ReferencingValuesWithRefs,
+      ManipulatingTheDomWithRefs,
+      SynchronizingWithEffects,
+      YouMightNotNeedAnEffect,
+      LifecycleOfReactiveEffects,
+      SeparatingEventsFromEffects,
+      RemovingEffectDependencies,
+      ReusingLogicWithCustomHooks,
+    },
+  },
+];
+
+function toExamples(chapterId, lessonId, kind, declared = {}) {
+  return Object.entries(declared).map(([id, entry]) => {
+    const { component, props = {} } = typeof entry === 'function' ? { component: entry } : entry;
+    return {
+      id,
+      kind,
+      component,
+      props,
+      chapterId,
+      lessonId,
+      path: `${chapterId}/${lessonId}/${id}`,
+    };
+  });
+}
+
+export const chapters = sources.map(({ id: chapterId, title, modules }) => ({
+  id: chapterId,
+  title,
+  lessons: Object.entries(modules).map(([lessonId, module]) => ({
+    id: lessonId,
+    path: `${chapterId}/${lessonId}`,
+    examples: [
+      ...toExamples(chapterId, lessonId, 'demo', module.demos),
+      ...toExamples(chapterId, lessonId, 'challenge', module.challenges),
+    ],
+  })),
+}));
+
+const examplesByPath = new Map(
+  chapters.flatMap(chapter => chapter.lessons.flatMap(lesson => lesson.examples))
+    .map(example => [example.path, example])
+);
+
+export function findExample(path) {
+  return examplesByPath.get(path) ?? null;
+}
@@ -0,0 +1,242 @@
+/**
+ * 렌더링 횟수 표시 (개발 모드)
+ * 예제 안의 컴포넌트 인스턴스마다 렌더링 횟수를 세고, 다시 렌더링되면 잠깐 테두리를 그린다.
+ * 테두리 색은 최근 1초 동안의 렌더링 횟수(heatmap)다: 파란색(가끔) -> 빨간색(자주)
+ * ref 만 바꾸는 Counter 와 state 를 바꾸는 FIX_A_COMPONENT_FAILING_TO_RE_RENDER 를 비교해볼 수 있다.
+ *
+ * React DevTools 와 같은 방법으로 commit 마다 fiber tree 를 받는다. (__REACT_DEVTOOLS_GLOBAL_HOOK__)
+ * react-dom 이 로드될 때 hook 을 찾으므로, react-dom 을 import 하기 전에 installRenderTracking() 을 호출해야 한다.
+ * DevTools 확장 프로그램이나 react-refresh 가 먼저 hook 을 만들었다면 그 hook 을 감싼다.
+ *
+ * 예제 안의 컴포넌트인지는 fiber 의 조상 DOM 에 data-example-source 가 있는지로 판단한다.
+ */
+
+const FUNCTION_COMPONENT = 0;
+const CLASS_COMPONENT = 1;
+const HOST_COMPONENT = 5;
+const HOST_TEXT = 6;
+const FORWARD_REF = 11;
+const SIMPLE_MEMO_COMPONENT = 15;
+const COMPONENT_TAGS = [FUNCTION_COMPONENT, CLASS_COMPONENT, FORWARD_REF, SIMPLE_MEMO_COMPONENT];
+// 이번 commit 에서 렌더링한 fiber 에 붙는 flag
+const PERFORMED_WORK = 1;
+
+const HEAT_WINDOW = 1000;
+const MAX_HEAT = 20;
+// 예제 밖의 컴포넌트
+const IGNORED = {};
+
+let isInstalled = false;
+let isEnabled = false;
+// fiber(또는 alternate) -> record
+let records = new WeakMap();
+// id -> { id, name, source, count, times }
+const instances = new Map();
+// id -> 테두리 element
+const highlights = new Map();
+let nextId = 0;
+let layer = null;
+const listeners = new Set();
+
+export function isRenderHighlightEnabled() {
+  return isEnabled;
+}
+
+export function setRenderHighlight(enabled) {
+  isEnabled = enabled;
+  // 꺼져 있는 동안은 세지 않으므로, 켤 때마다 처음부터 센다.
+  records = new WeakMap();
+  instances.clear();
+  highlights.forEach(element => element.remove());
+  highlights.clear();
+  listeners.forEach(listener => listener());
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 예제(source) 안의 인스턴스별 렌더링 횟수 -> [{ id, name, count }]
+export function getRenderCounts(source) {
+  return [...instances.values()]
+    .filter(instance => instance.source === source)
+    .map(({ id, name, count }) => ({ id, name, count }));
+}
+
+function getName(fiber) {
+  const type = fiber.type;
+  return type?.displayName || type?.name || type?.render?.name || 'Anonymous';
+}
+
+function findSource(fiber) {
+  for (let node = fiber.return; node !== null; node = node.return) {
+    if (node.tag === HOST_COMPONENT && node.stateNode?.dataset?.exampleSource) {
+      return node.stateNode.dataset.exampleSource;
+    }
+  }
+  return null;
+}
+
+// 컴포넌트가 그린 가장 바깥쪽 DOM node 들
+function getHostNodes(fiber) {
+  const nodes = [];
+  const stack = fiber.child ? [fiber.child] : [];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.sibling) stack.push(node.sibling);
+    if (node.tag === HOST_COMPONENT) {
+      nodes.push(node.stateNode);
+    } else if (node.tag !== HOST_TEXT && node.child) {
+      stack.push(node.child);
+    }
+  }
+  return nodes;
+}
+
+function getRect(fiber) {
+  const rects = getHostNodes(fiber).map(node => node.getBoundingClientRect());
+  if (rects.length === 0) return null;
+  const top = Math.min(...rects.map(rect => rect.top));
+  const left = Math.min(...rects.map(rect => rect.left));
+  const bottom = Math.max(...rects.map(rect => rect.bottom));
+  const right = Math.max(...rects.map(rect => rect.right));
+  return { top, left, width: right - left, height: bottom - top };
+}
+
+// 최근 렌더링 횟수가 많을수록 파란색(200)에서 빨간색(0)으로
+function getHeatColor(instance) {
+  const heat = Math.min(instance.times.length, MAX_HEAT) / MAX_HEAT;
+  return `hsl(${Math.round(200 * (1 - heat))}, 90%, 50%)`;
+}
+
+function getLayer() {
+  if (layer === null || !layer.isConnected) {
+    layer = document.createElement('div');
+    layer.className = 'render-highlight-layer';
+    document.body.append(layer);
+  }
+  return layer;
+}
+
+function highlight(instance, fiber) {
+  const rect = getRect(fiber);
+  if (rect === null) return;
+
+  let element = highlights.get(instance.id);
+  if (!element) {
+    element = document.createElement('div');
+    element.className = 'render-highlight';
+    // 애니메이션이 끝나면 지운다. 그 전에 다시 렌더링되면 애니메이션을 처음부터 다시 시작한다.
+    element.addEventListener('animationend', () => {
+      element.remove();
+      highlights.delete(instance.id);
+    }, { once: true });
+    getLayer().append(element);
+    highlights.set(instance.id, element);
+  }
+  Object.assign(element.style, {
+    top: `${rect.top}px`,
+    left: `${rect.left}px`,
+    width: `${rect.width}px`,
+    height: `${rect.height}px`,
+    borderColor: getHeatColor(instance),
+  });
+  element.dataset.label = `${instance.name} ×${instance.count}`;
+  element.classList.remove('render-highlight--flash');
+  void element.offsetWidth;
+  element.classList.add('render-highlight--flash');
+}
+
+function recordRender(fiber, now) {
+  let instance = records.get(fiber) ?? (fiber.alternate && records.get(fiber.alternate));
+  if (instance === undefined || instance === null) {
+    const source = findSource(fiber);
+    instance = source === null
+      ? IGNORED
+      : { id: nextId++, name: getName(fiber), source, count: 0, times: [] };
+    if (instance !== IGNORED) {
+      instances.set(instance.id, instance);
+    }
+  }
+  records.set(fiber, instance);
+  if (fiber.alternate) {
+    records.set(fiber.alternate, instance);
+  }
+  if (instance === IGNORED) return;
+
+  instance.count += 1;
+  instance.times = [...instance.times.filter(time => now - time < HEAT_WINDOW), now];
+  // 처음 mount 할 때는 표시하지 않는다.
+  if (instance.count > 1) {
+    highlight(instance, fiber);
+  }
+}
+
+function handleCommit(root) {
+  const now = performance.now();
+  const stack = [root.current];
+  while (stack.length > 0) {
+    const fiber = stack.pop();
+    if (fiber.sibling) stack.push(fiber.sibling);
+
+    if (COMPONENT_TAGS.includes(fiber.tag) && (fiber.flags & PERFORMED_WORK) !== 0) {
+      recordRender(fiber, now);
+    }
+    // 이번 commit 에서 건드리지 않은 subtree 는 child 가 이전 tree 와 같다.
+    const isSubtreeUnchanged = fiber.alternate !== null && fiber.child === fiber.alternate.child;
+    if (fiber.child && !isSubtreeUnchanged) {
+      stack.push(fiber.child);
+    }
+  }
+}
+
+function handleUnmount(fiber) {
+  const instance = records.get(fiber) ?? (fiber.alternate && records.get(fiber.alternate));
+  if (!instance || instance === IGNORED) return;
+  instances.delete(instance.id);
+}
+
+// react-dom 을 import 하기 전에 한 번 호출한다.
+export function installRenderTracking() {
+  if (isInstalled) return;
+  isInstalled = true;
+
+  let hook = window.__REACT_DEVTOOLS_GLOBAL_HOOK__;
+  if (!hook) {
+    const renderers = new Map();
+    hook = {
+      renderers,
+      supportsFiber: true,
+      inject(renderer) {
+        const id = renderers.size + 1;
+        renderers.set(id, renderer);
+        return id;
+      },
+      onCommitFiberRoot() {},
+      onCommitFiberUnmount() {},
+      onPostCommitFiberRoot() {},
+      checkDCE() {},
+    };
+    window.__REACT_DEVTOOLS_GLOBAL_HOOK__ = hook;
+  }
+
+  const { onCommitFiberRoot, onCommitFiberUnmount } = hook;
+  hook.onCommitFiberRoot = function (rendererId, root, ...args) {
+    if (isEnabled) {
+      try {
+        handleCommit(root);
+      } catch (error) {
+        console.error('Render tracking failed.', error);
+        setRenderHighlight(false);
+      }
+    }
+    return onCommitFiberRoot?.call(this, rendererId, root, ...args);
+  };
+  hook.onCommitFiberUnmount = function (rendererId, fiber, ...args) {
+    if (isEnabled) {
+      handleUnmount(fiber);
+    }
+    return onCommitFiberUnmount?.call(this, rendererId, fiber, ...args);
+  };
+}
@@ -0,0 +1,23 @@
+/**
+ * location.hash 를 외부 스토어로 보고 useSyncExternalStore 로 구독한다.
+ * `#/escape_hatches/ReferencingValuesWithRefs/StopWatch` -> 'escape_hatches/ReferencingValuesWithRefs/StopWatch'
+ */
+
+import { useSyncExternalStore } from 'react';
+
+function subscribe(callback) {
+  window.addEventListener('hashchange', callback);
+  return () => window.removeEventListener('hashchange', callback);
+}
+
+export function getHashPath() {
+  return decodeURIComponent(window.location.hash.replace(/^#\/?/, ''));
+}
+
+export function toHref(path) {
+  return `#/${path}`;
+}
+
+export const useHashPath = () => {
+  return useSyncExternalStore(subscribe, getHashPath, () => '');
+}
@@ -0,0 +1,140 @@
+/**
+ * createExternalStore 로 만든 브라우저 값 hook 들
+ * - useMediaQuery(query): matchMedia(query).matches (서버: false)
+ * - useDocumentVisibility(): document.visibilityState, 'visible' | 'hidden' (서버: 'visible')
+ * - useLocalStorage(key): [값(string | null), setValue] 다른 탭에서 바꾼 값(storage 이벤트)도 반영한다. (서버: null)
+ * - useWindowSize(selector): { width, height } 또는 selector 로 고른 값 (서버: 0, 0)
+ * - useGeolocation(): { status: 'pending' | 'ready' | 'error' | 'unsupported', coords, error }
+ *   처음 구독할 때 위치 권한을 묻는다.
+ */
+
+import { useCallback } from 'react';
+import { createExternalStore, useExternalStore } from './createExternalStore';
+
+// 인자(query, key)마다 store 를 하나씩 만든다.
+function createStoreFamily(createStore) {
+  const stores = new Map();
+  return (key) => {
+    if (!stores.has(key)) {
+      stores.set(key, createStore(key));
+    }
+    return stores.get(key);
+  };
+}
+
+const getMediaQueryStore = createStoreFamily(query => createExternalStore({
+  subscribe(notify) {
+    const mediaQueryList = window.matchMedia?.(query);
+    mediaQueryList?.addEventListener('change', notify);
+    return () => mediaQueryList?.removeEventListener('change', notify);
+  },
+  getSnapshot: () => window.matchMedia?.(query).matches ?? false,
+  getServerSnapshot: () => false,
+}));
+
+export const useMediaQuery = (query) => {
+  return useExternalStore(getMediaQueryStore(query));
+}
+
+const visibilityStore = createExternalStore({
+  subscribe(notify) {
+    document.addEventListener('visibilitychange', notify);
+    return () => document.removeEventListener('visibilitychange', notify);
+  },
+  getSnapshot: () => document.visibilityState,
+  getServerSnapshot: () => 'visible',
+});
+
+export const useDocumentVisibility = () => {
+  return useExternalStore(visibilityStore);
+}
+
+// 사생활 보호 모드 등에서는 localStorage 에 접근하면 에러가 날 수 있다.
+function readStorage(key) {
+  try {
+    return window.localStorage.getItem(key);
+  } catch {
+    return null;
+  }
+}
+
+const getStorageStore = createStoreFamily(key => createExternalStore({
+  subscribe(notify) {
+    // 다른 탭에서 바꿨을 때만 발생한다. (key 가 null 이면 clear())
+    function handleStorage(e) {
+      if (e.key === key || e.key === null) {
+        notify();
+      }
+    }
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
+  },
+  getSnapshot: () => readStorage(key),
+  getServerSnapshot: () => null,
+}));
+
+// value 가 null 이면 지운다. 같은 탭에서는 storage 이벤트가 발생하지 않으므로 직접 알린다.
+export function setStorageItem(key, value) {
+  try {
+    if (value === null) {
+      window.localStorage.removeItem(key);
+    } else {
+      window.localStorage.setItem(key, value);
+    }
+  } catch (error) {
+    console.warn(`Could not write "${key}" to localStorage: ${error.message}`);
+  }
+  getStorageStore(key).notify();
+}
+
+export const useLocalStorage = (key) => {
+  const value = useExternalStore(getStorageStore(key));
+  const setValue = useCallback(nextValue => setStorageItem(key, nextValue), [key]);
+  return [value, setValue];
+}
+
+const windowSizeStore = createExternalStore({
+  subscribe(notify) {
+    window.addEventListener('resize', notify);
+    return () => window.removeEventListener('resize', notify);
+  },
+  getSnapshot: () => ({ width: window.innerWidth, height: window.innerHeight }),
+  getServerSnapshot: () => ({ width: 0, height: 0 }),
+  isEqual: (a, b) => a.width === b.width && a.height === b.height,
+});
+
+// selector 를 넘기면 고른 값이 바뀔 때만 다시 렌더링한다. (예: size => size.width < 600)
+// selector 는 컴포넌트 밖에 만들거나 useCallback 으로 감싼다.
+export const useWindowSize = (selector) => {
+  return useExternalStore(windowSizeStore, selector);
+}
+
+let geolocation = { status: 'pending', coords: null, error: null };
+
+const geolocationStore = createExternalStore({
+  subscribe(notify) {
+    if (!navigator.geolocation) {
+      geolocation = { status: 'unsupported', coords: null, error: null };
+      notify();
+      return () => {};
+    }
+    const watchId = navigator.geolocation.watchPosition(
+      position => {
+        const { latitude, longitude, accuracy } = position.coords;
+        geolocation = { status: 'ready', coords: { latitude, longitude, accuracy }, error: null };
+        notify();
+      },
+      error => {
+        geolocation = { ...geolocation, status: 'error', error: error.message };
+        notify();
+      },
+    );
+    return () => navigator.geolocation.clearWatch(watchId);
+  },
+  getSnapshot: () => geolocation,
+  getServerSnapshot: () => ({ status: 'pending', coords: null, error: null }),
+});
+
+export const useGeolocation = () => {
+  return useExternalStore(geolocationStore);
+}
@@ -0,0 +1,114 @@
+/**
+ * createExternalStore
+ * 브라우저 API 같은 외부 값을 useSyncExternalStore 로 구독할 수 있게 subscribe/getSnapshot 쌍으로 감싼다.
+ *
+ * const store = createExternalStore({
+ *   subscribe: notify => { ...; return unsubscribe },   // 값이 바뀔 수 있을 때 notify() 를 호출한다.
+ *   getSnapshot: () => 현재 값,
+ *   getServerSnapshot: () => 서버 렌더링 때 쓸 값,   // 없으면 getSnapshot 을 쓴다.
+ *   isEqual: (a, b) => boolean,                     // 기본값 Object.is
+ * });
+ *
+ * - 구독하는 컴포넌트가 몇 개든 외부 source 는 한 번만 구독하고, 마지막 구독이 끝나면 해제한다.
+ * - getSnapshot 은 이전 값과 isEqual 이면 이전 값을 그대로 돌려준다. ({ width, height } 같은 object 도 매번 새로 만들지 않는다.)
+ * - store.notify() 로 직접 다시 읽게 할 수 있다. (시뮬레이션 등)
+ * - useExternalStore(store, selector, isEqual) 로 일부 값만 골라서 구독하면, 고른 값이 바뀔 때만 다시 렌더링한다.
+ */
+
+import { useMemo, useSyncExternalStore } from 'react';
+
+export function createExternalStore({
+  subscribe: subscribeToSource,
+  getSnapshot: readSnapshot,
+  getServerSnapshot: readServerSnapshot = readSnapshot,
+  isEqual = Object.is,
+}) {
+  const listeners = new Set();
+  let unsubscribeFromSource = null;
+  let hasSnapshot = false;
+  let snapshot;
+  let hasServerSnapshot = false;
+  let serverSnapshot;
+
+  function getSnapshot() {
+    const next = readSnapshot();
+    if (!hasSnapshot || !isEqual(snapshot, next)) {
+      snapshot = next;
+      hasSnapshot = true;
+    }
+    return snapshot;
+  }
+
+  // 서버 snapshot 은 바뀌지 않으므로 한 번만 읽는다.
+  function getServerSnapshot() {
+    if (!hasServerSnapshot) {
+      serverSnapshot = readServerSnapshot();
+      hasServerSnapshot = true;
+    }
+    return serverSnapshot;
+  }
+
+  function notify() {
+    listeners.forEach(listener => listener());
+  }
+
+  function subscribe(listener) {
+    listeners.add(listener);
+    if (listeners.size === 1) {
+      unsubscribeFromSource = subscribeToSource(notify);
+    }
+    return () => {
+      listeners.delete(listener);
+      if (listeners.size === 0) {
+        unsubscribeFromSource?.();
+        unsubscribeFromSource = null;
+      }
+    };
+  }
+
+  return {
+    subscribe,
+    getSnapshot,
+    getServerSnapshot,
+    notify,
+  };
+}
+
+const identity = value => value;
+
+export const useExternalStore = (store, selector = identity, isEqual = Object.is) => {
+  // store 의 snapshot 이 그대로면 selector 를 다시 호출하지 않고, 고른 값이 isEqual 이면 이전 값을 돌려준다.
+  const [getSelection, getServerSelection] = useMemo(() => {
+    let hasMemo = false;
+    let memoizedSnapshot;
+    let memoizedSelection;
+    let hasServerSelection = false;
+    let serverSelection;
+
+    function select(snapshot) {
+      if (hasMemo && Object.is(snapshot, memoizedSnapshot)) {
+        return memoizedSelection;
+      }
+      const selection = selector(snapshot);
+      if (!hasMemo || !isEqual(memoizedSelection, selection)) {
+        memoizedSelection = selection;
+      }
+      memoizedSnapshot = snapshot;
+      hasMemo = true;
+      return memoizedSelection;
+    }
+
+    return [
+      () => select(store.getSnapshot()),
+      () => {
+        if (!hasServerSelection) {
+          serverSelection = selector(store.getServerSnapshot());
+          hasServerSelection = true;
+        }
+        return serverSelection;
+      },
+    ];
+  }, [store, selector, isEqual]);
+
+  return useSyncExternalStore(store.subscribe, getSelection, getServerSelection);
+}
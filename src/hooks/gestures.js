@@ -0,0 +1,175 @@
+/**
+ * 포인터 / 드래그 / 스와이프 hooks
+ * - usePointer({ ref, enabled }): 포인터 위치 { x, y }. ref 를 넘기면 그 element 의 왼쪽 위 기준이다.
+ *   window 의 pointermove 는 usePointer 를 쓰는 컴포넌트가 몇 개든 한 번만 구독한다.
+ *   enabled 가 false 면 구독하지 않고 마지막 위치에 멈춘다.
+ * - useDrag({ ref, bounds, enabled, onStart, onMove, onEnd }): ref 의 element 를 끄는 동안 { isDragging, dx, dy } 를 돌려준다.
+ *   dx, dy 는 누른 위치에서 움직인 거리이고, bounds({ left, right, top, bottom }) 를 넘지 않는다.
+ *   onEnd 는 놓을 때의 속도(velocityX, velocityY: px/ms)도 받는다.
+ * - useSwipe({ ref, onSwipe, distance, velocity, enabled }): 충분히 멀리, 또는 빠르게 끌었다 놓으면
+ *   onSwipe('left' | 'right' | 'up' | 'down') 를 호출한다. (getSwipeDirection)
+ *
+ * 속도는 useClock() 의 시계로 잰다.
+ * onStart/onMove/onEnd/onSwipe 와 bounds 는 useEffectEvent 로 읽으므로 렌더링마다 새로 만들어도 다시 구독하지 않는다.
+ */
+
+import { useState, useEffect } from 'react';
+import { createExternalStore } from './createExternalStore';
+import { useEffectEvent } from './useEffectEvent';
+import { useClock } from '../clock/useClock';
+
+const ORIGIN = { x: 0, y: 0 };
+const IDLE = { isDragging: false, dx: 0, dy: 0 };
+
+let pointer = ORIGIN;
+
+const pointerStore = createExternalStore({
+  subscribe(notify) {
+    function handleMove(e) {
+      pointer = { x: e.clientX, y: e.clientY };
+      notify();
+    }
+    window.addEventListener('pointermove', handleMove);
+    return () => window.removeEventListener('pointermove', handleMove);
+  },
+  getSnapshot: () => pointer,
+  getServerSnapshot: () => ORIGIN,
+});
+
+function toElementPosition(point, element) {
+  if (!element) return point;
+  const rect = element.getBoundingClientRect();
+  return { x: point.x - rect.left, y: point.y - rect.top };
+}
+
+export const usePointer = ({ ref, enabled = true } = {}) => {
+  const [position, setPosition] = useState(ORIGIN);
+
+  useEffect(() => {
+    if (!enabled) return;
+    return pointerStore.subscribe(() => {
+      setPosition(toElementPosition(pointerStore.getSnapshot(), ref?.current));
+    });
+  }, [ref, enabled]);
+
+  return position;
+}
+
+function clamp(value, min = -Infinity, max = Infinity) {
+  return Math.min(Math.max(value, min), max);
+}
+
+export const useDrag = ({ ref, bounds, enabled = true, onStart, onMove, onEnd }) => {
+  const [drag, setDrag] = useState(IDLE);
+  const getBounds = useEffectEvent(() => bounds ?? {});
+  const onDragStart = useEffectEvent(onStart);
+  const onDragMove = useEffectEvent(onMove);
+  const onDragEnd = useEffectEvent(onEnd);
+  const clock = useClock();
+
+  useEffect(() => {
+    const element = ref.current;
+    if (!enabled || !element) return;
+
+    // 끄는 중인 gesture. { startX, startY, lastX, lastY, lastTime, velocityX, velocityY }
+    let gesture = null;
+
+    function getDelta(e) {
+      const { left, right, top, bottom } = getBounds();
+      return {
+        dx: clamp(e.clientX - gesture.startX, left, right),
+        dy: clamp(e.clientY - gesture.startY, top, bottom),
+      };
+    }
+
+    function updateVelocity(e) {
+      const now = clock.now();
+      const elapsed = now - gesture.lastTime;
+      if (elapsed > 0) {
+        gesture.velocityX = (e.clientX - gesture.lastX) / elapsed;
+        gesture.velocityY = (e.clientY - gesture.lastY) / elapsed;
+      }
+      gesture.lastX = e.clientX;
+      gesture.lastY = e.clientY;
+      gesture.lastTime = now;
+    }
+
+    function handleDown(e) {
+      // 마우스는 왼쪽 버튼만
+      if (e.button !== 0 || gesture !== null) return;
+      gesture = {
+        startX: e.clientX,
+        startY: e.clientY,
+        lastX: e.clientX,
+        lastY: e.clientY,
+        lastTime: clock.now(),
+        velocityX: 0,
+        velocityY: 0,
+      };
+      window.addEventListener('pointermove', handleMove);
+      window.addEventListener('pointerup', handleUp);
+      window.addEventListener('pointercancel', handleUp);
+      setDrag({ isDragging: true, dx: 0, dy: 0 });
+      onDragStart({ dx: 0, dy: 0, event: e });
+    }
+
+    function handleMove(e) {
+      updateVelocity(e);
+      const delta = getDelta(e);
+      setDrag({ isDragging: true, ...delta });
+      onDragMove({ ...delta, event: e });
+    }
+
+    function handleUp(e) {
+      updateVelocity(e);
+      const delta = getDelta(e);
+      const { velocityX, velocityY } = gesture;
+      stopDragging();
+      setDrag(IDLE);
+      onDragEnd({ ...delta, velocityX, velocityY, event: e });
+    }
+
+    function stopDragging() {
+      gesture = null;
+      window.removeEventListener('pointermove', handleMove);
+      window.removeEventListener('pointerup', handleUp);
+      window.removeEventListener('pointercancel', handleUp);
+    }
+
+    element.addEventListener('pointerdown', handleDown);
+    return () => {
+      element.removeEventListener('pointerdown', handleDown);
+      stopDragging();
+    };
+  }, [ref, enabled, clock]);
+
+  return enabled ? drag : IDLE;
+}
+
+// 끌어서 놓은 결과(useDrag 의 onEnd 인자)가 스와이프인지 판단한다. 아니면 null
+// 많이 움직인 축을 기준으로, distance px 이상 움직였거나 velocity px/ms 이상 빠르게 놓았으면 스와이프다.
+export function getSwipeDirection({ dx, dy, velocityX, velocityY }, { distance = 50, velocity = 0.5 } = {}) {
+  const isHorizontal = Math.abs(dx) >= Math.abs(dy);
+  const delta = isHorizontal ? dx : dy;
+  const speed = isHorizontal ? velocityX : velocityY;
+  if (delta === 0 || (Math.abs(delta) < distance && Math.abs(speed) < velocity)) {
+    return null;
+  }
+  if (isHorizontal) {
+    return delta > 0 ? 'right' : 'left';
+  }
+  return delta > 0 ? 'down' : 'up';
+}
+
+export const useSwipe = ({ ref, onSwipe, distance, velocity, enabled = true }) => {
+  return useDrag({
+    ref,
+    enabled,
+    onEnd: drag => {
+      const direction = getSwipeDirection(drag, { distance, velocity });
+      if (direction !== null) {
+        onSwipe(direction);
+      }
+    },
+  });
+}
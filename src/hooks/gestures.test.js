@@ -0,0 +1,26 @@
+import { useRef } from 'react';
+import { render, screen } from '@testing-library/react';
+import { firePointer } from '../testUtils';
+import { usePointer, useSwipe } from './gestures';
+
+test('usePointer stops following while disabled and useSwipe reports the direction', () => {
+  const onSwipe = jest.fn();
+  const Example = ({ enabled }) => {
+    const ref = useRef(null);
+    const { x, y } = usePointer({ enabled });
+    useSwipe({ ref, onSwipe });
+    return <div ref={ref}>pointer {x}, {y}</div>;
+  };
+  const { rerender } = render(<Example enabled />);
+  firePointer(window, 'pointermove', 10, 20);
+  expect(screen.getByText('pointer 10, 20')).toBeInTheDocument();
+  rerender(<Example enabled={false} />);
+  firePointer(window, 'pointermove', 30, 40);
+  expect(screen.getByText('pointer 10, 20')).toBeInTheDocument();
+
+  const area = screen.getByText('pointer 10, 20');
+  firePointer(area, 'pointerdown', 200, 0);
+  firePointer(window, 'pointermove', 150, 10);
+  firePointer(window, 'pointerup', 120, 10);
+  expect(onSwipe).toHaveBeenCalledWith('left');
+});
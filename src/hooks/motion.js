@@ -0,0 +1,147 @@
+/**
+ * 값을 따라가는 hooks (IMPLEMENT_A_STAGGERING_MOVEMENT)
+ * - useDelayedValue(value, delay): value 를 delay ms 늦게 돌려준다.
+ *   값이 바뀔 때마다 timeout 을 하나씩 걸고, unmount 되면 남은 timeout 을 모두 취소한다.
+ *   (바뀔 때마다 이전 timeout 을 취소하면 debounce 가 되어서 계속 움직이는 동안 따라오지 않는다.)
+ * - useSpring(target, { stiffness, damping, mass, immediate }): target 을 향해 스프링처럼 움직이는 값을 돌려준다.
+ *   target 은 숫자 또는 { x, y } 처럼 숫자로 된 object 다. requestAnimationFrame 마다 한 번 다시 렌더링한다.
+ *   immediate 가 true 면 target 을 바로 돌려준다. 움직이는 도중에 immediate 로 바꾸면 target 에 도착한 뒤부터 바로 따라간다.
+ *   (모드를 바꿀 때 튀지 않게 하기 위해서)
+ *
+ * 타이머와 animation frame 은 useClock() 의 시계로 건다.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useClock } from '../clock/useClock';
+
+export const useDelayedValue = (value, delay) => {
+  const [delayedValue, setDelayedValue] = useState(value);
+  const pendingRef = useRef(new Set());
+  const clock = useClock();
+
+  useEffect(() => {
+    const pending = pendingRef.current;
+    return () => {
+      pending.forEach(timeoutId => clock.clearTimeout(timeoutId));
+      pending.clear();
+    };
+  }, [clock]);
+
+  useEffect(() => {
+    const pending = pendingRef.current;
+    const timeoutId = clock.setTimeout(() => {
+      pending.delete(timeoutId);
+      setDelayedValue(value);
+    }, delay);
+    pending.add(timeoutId);
+  }, [value, delay, clock]);
+
+  return delayedValue;
+}
+
+// 한 frame 이 너무 길면(탭이 숨겨졌을 때 등) 튀지 않도록 나눠서 계산한다.
+const MAX_FRAME_TIME = 0.064;
+const STEP_TIME = 1 / 120;
+const REST_DISTANCE = 0.01;
+const REST_VELOCITY = 0.01;
+
+function mapValue(value, fn) {
+  if (typeof value === 'number') return fn(value, null);
+  const result = {};
+  Object.keys(value).forEach(key => {
+    result[key] = fn(value[key], key);
+  });
+  return result;
+}
+
+function getComponent(value, key) {
+  return key === null ? value : value[key];
+}
+
+function isAtRest(spring) {
+  let isResting = true;
+  mapValue(spring.target, (target, key) => {
+    const distance = Math.abs(getComponent(spring.value, key) - target);
+    const speed = Math.abs(getComponent(spring.velocity, key));
+    if (distance > REST_DISTANCE || speed > REST_VELOCITY) {
+      isResting = false;
+    }
+  });
+  return isResting;
+}
+
+function advanceSpring(spring, seconds) {
+  const { stiffness, damping, mass } = spring.config;
+  let remaining = Math.min(seconds, MAX_FRAME_TIME);
+  while (remaining > 0) {
+    const dt = Math.min(remaining, STEP_TIME);
+    const value = spring.value;
+    const velocity = spring.velocity;
+    spring.velocity = mapValue(spring.target, (target, key) => {
+      const displacement = getComponent(value, key) - target;
+      const acceleration = (-stiffness * displacement - damping * getComponent(velocity, key)) / mass;
+      return getComponent(velocity, key) + acceleration * dt;
+    });
+    spring.value = mapValue(spring.target, (target, key) => {
+      return getComponent(value, key) + getComponent(spring.velocity, key) * dt;
+    });
+    remaining -= dt;
+  }
+}
+
+export const useSpring = (target, { stiffness = 170, damping = 26, mass = 1, immediate = false } = {}) => {
+  const [value, setValue] = useState(target);
+  const clock = useClock();
+  const springRef = useRef(null);
+  if (springRef.current === null) {
+    springRef.current = {
+      value: target,
+      velocity: mapValue(target, () => 0),
+      target,
+      config: null,
+      frameId: null,
+      lastTime: null,
+    };
+  }
+
+  useEffect(() => {
+    const spring = springRef.current;
+    spring.target = target;
+    spring.config = { stiffness, damping, mass };
+    // 움직이는 중이면 다음 frame 에서 새 target 을 읽는다.
+    if (spring.frameId !== null) return;
+
+    if (immediate || isAtRest(spring)) {
+      spring.value = target;
+      spring.velocity = mapValue(target, () => 0);
+      setValue(target);
+      return;
+    }
+
+    function step(time) {
+      const seconds = spring.lastTime === null ? 1 / 60 : (time - spring.lastTime) / 1000;
+      spring.lastTime = time;
+      advanceSpring(spring, seconds);
+      if (isAtRest(spring)) {
+        spring.value = spring.target;
+        spring.velocity = mapValue(spring.target, () => 0);
+        spring.frameId = null;
+      } else {
+        spring.frameId = clock.requestAnimationFrame(step);
+      }
+      setValue(spring.value);
+    }
+    spring.lastTime = null;
+    spring.frameId = clock.requestAnimationFrame(step);
+  }, [target, stiffness, damping, mass, immediate, clock]);
+
+  useEffect(() => {
+    const spring = springRef.current;
+    return () => {
+      clock.cancelAnimationFrame(spring.frameId);
+      spring.frameId = null;
+    };
+  }, [clock]);
+
+  return value;
+}
@@ -0,0 +1,32 @@
+import { render, screen, act } from '@testing-library/react';
+import { createManualClock } from '../clock/clock';
+import { ClockProvider } from '../clock/useClock';
+import { useDelayedValue, useSpring } from './motion';
+
+test('useDelayedValue and useSpring follow their value and clean up on unmount', () => {
+  const clock = createManualClock();
+  const Example = ({ value, immediate = false }) => {
+    const delayed = useDelayedValue(value, 100);
+    const sprung = useSpring(value, { immediate });
+    return <p>delayed {delayed}, spring {Math.round(sprung)}</p>;
+  };
+  const wrapper = ({ children }) => <ClockProvider clock={clock}>{children}</ClockProvider>;
+  const { rerender, unmount } = render(<Example value={0} />, { wrapper });
+  rerender(<Example value={10} />);
+  rerender(<Example value={20} />);
+  act(() => clock.advanceFrames(10, 10));
+  expect(screen.getByText(/^delayed 20, spring (\d+)$/)).not.toHaveTextContent('spring 20');
+  act(() => clock.advanceFrames(200, 10));
+  expect(screen.getByText('delayed 20, spring 20')).toBeInTheDocument();
+
+  rerender(<Example value={30} immediate />);
+  expect(screen.getByText('delayed 20, spring 30')).toBeInTheDocument();
+
+  rerender(<Example value={40} />);
+  // 30, 40 을 늦게 보여줄 timeout
+  expect(clock.getTimerCount()).toBe(2);
+  expect(clock.getFrameCount()).toBe(1);
+  unmount();
+  expect(clock.getTimerCount()).toBe(0);
+  expect(clock.getFrameCount()).toBe(0);
+});
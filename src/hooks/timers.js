@@ -0,0 +1,69 @@
+/**
+ * 타이머 hooks
+ * - useInterval({ onTick, delay }): delay ms 마다 onTick 을 호출한다. delay 가 null 이면 멈춘다.
+ * - useTimeout({ onTimeout, delay }): delay ms 뒤에 한 번 onTimeout 을 호출한다. delay 가 null 이면 취소한다.
+ * - useCounter({ delay, step }): delay ms 마다 step 만큼 센다. -> { count, isRunning, pause, resume, reset }
+ *
+ * onTick/onTimeout 은 useEffectEvent 로 감싸므로 매 렌더링 새 함수를 넘겨도 타이머를 다시 시작하지 않는다.
+ * delay 가 바뀔 때만 다시 시작한다.
+ *
+ * setInterval 은 callback 이 늦게 실행되면 그만큼 밀린다. useInterval 은 시작 시각부터 계산한 예정 시각에 맞춰
+ * 매번 setTimeout 을 다시 걸어서 밀리지 않게 한다. 한 번 이상 통째로 놓쳤다면(탭이 숨겨졌을 때 등) 밀린 tick 을
+ * 몰아서 실행하지 않고 지금부터 다시 센다.
+ *
+ * 시간과 타이머는 useClock() 의 시계를 쓴다. 테스트에서는 createManualClock 으로 바꿔서 움직인다.
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { useEffectEvent } from './useEffectEvent';
+import { useClock } from '../clock/useClock';
+
+export const useInterval = ({ onTick, delay }) => {
+  const onInterval = useEffectEvent(onTick);
+  const clock = useClock();
+
+  useEffect(() => {
+    if (delay === null) return;
+
+    let expected = clock.now() + delay;
+    let timeoutId;
+    function tick() {
+      onInterval();
+      const now = clock.now();
+      expected += delay;
+      if (expected <= now) {
+        expected = now + delay;
+      }
+      timeoutId = clock.setTimeout(tick, expected - now);
+    }
+    timeoutId = clock.setTimeout(tick, delay);
+    return () => clock.clearTimeout(timeoutId);
+  }, [delay, clock]);
+}
+
+export const useTimeout = ({ onTimeout, delay }) => {
+  const onDone = useEffectEvent(onTimeout);
+  const clock = useClock();
+
+  useEffect(() => {
+    if (delay === null) return;
+    const timeoutId = clock.setTimeout(onDone, delay);
+    return () => clock.clearTimeout(timeoutId);
+  }, [delay, clock]);
+}
+
+export const useCounter = ({ delay = 1000, step = 1 } = {}) => {
+  const [count, setCount] = useState(0);
+  const [isRunning, setIsRunning] = useState(true);
+
+  useInterval({
+    onTick: () => setCount(c => c + step),
+    delay: isRunning ? delay : null,
+  });
+
+  const pause = useCallback(() => setIsRunning(false), []);
+  const resume = useCallback(() => setIsRunning(true), []);
+  const reset = useCallback(() => setCount(0), []);
+
+  return { count, isRunning, pause, resume, reset };
+}
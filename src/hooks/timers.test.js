@@ -0,0 +1,36 @@
+import { render, screen, fireEvent, act } from '@testing-library/react';
+import { createManualClock } from '../clock/clock';
+import { ClockProvider } from '../clock/useClock';
+import { useCounter } from './timers';
+
+test('useCounter ticks on schedule and can be paused, resumed and reset', () => {
+  const clock = createManualClock();
+  const Counter = () => {
+    const { count, isRunning, pause, resume, reset } = useCounter({ delay: 1000 });
+    return (
+      <>
+        <h1>Seconds passed: {count}</h1>
+        <button onClick={isRunning ? pause : resume}>{isRunning ? 'Pause' : 'Resume'}</button>
+        <button onClick={reset}>Reset</button>
+      </>
+    );
+  };
+  const wrapper = ({ children }) => <ClockProvider clock={clock}>{children}</ClockProvider>;
+  const { unmount } = render(<Counter />, { wrapper });
+  act(() => clock.advance(3000));
+  expect(screen.getByRole('heading', { name: 'Seconds passed: 3' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Pause' }));
+  act(() => clock.advance(3000));
+  expect(screen.getByRole('heading', { name: 'Seconds passed: 3' })).toBeInTheDocument();
+  expect(clock.getTimerCount()).toBe(0);
+
+  fireEvent.click(screen.getByRole('button', { name: 'Resume' }));
+  act(() => clock.advance(1000));
+  expect(screen.getByRole('heading', { name: 'Seconds passed: 4' })).toBeInTheDocument();
+
+  fireEvent.click(screen.getByRole('button', { name: 'Reset' }));
+  expect(screen.getByRole('heading', { name: 'Seconds passed: 0' })).toBeInTheDocument();
+  unmount();
+  expect(clock.getTimerCount()).toBe(0);
+});
@@ -0,0 +1,22 @@
+/**
+ * useEffectEvent
+ * React 18.2 에는 experimental_useEffectEvent 가 없어서(undefined) 호출하면 에러가 난다.
+ * 있으면 그대로 쓰고, 없으면 ref 로 흉내낸다.
+ * - 반환하는 함수는 항상 같고(의존성 배열에 넣지 않아도 된다), 호출하면 마지막 렌더링의 handler 를 실행한다.
+ * - 렌더링 도중에는 호출하지 않는다. (effect, 이벤트 핸들러에서만 호출)
+ */
+
+import { useRef, useInsertionEffect, useCallback, experimental_useEffectEvent } from 'react';
+
+function useEffectEventShim(handler) {
+  const handlerRef = useRef(handler);
+
+  // 다른 effect 들보다 먼저 최신 handler 로 바꿔둔다.
+  useInsertionEffect(() => {
+    handlerRef.current = handler;
+  });
+
+  return useCallback((...args) => handlerRef.current?.(...args), []);
+}
+
+export const useEffectEvent = experimental_useEffectEvent ?? useEffectEventShim;
@@ -0,0 +1,42 @@
+/**
+ * useOnlineStatus
+ * 브라우저의 네트워크 상태를 useSyncExternalStore 로 구독한다. (YouMightNotNeedAnEffect 의 "외부 스토어 사용")
+ * StatusBar, SaveButton, useChatRoom 이 같이 쓴다.
+ *
+ * - 처음 렌더링부터 navigator.onLine 값을 쓴다. (useState(true) + effect 로 맞추면 오프라인일 때 한 번 잘못 그린다.)
+ * - 서버 렌더링에서는 항상 온라인으로 본다. (getServerSnapshot)
+ * - setSimulatedOnlineStatus(false | true) 로 개발/테스트 중에 오프라인/온라인을 강제할 수 있다. null 이면 다시 브라우저 값을 따른다.
+ */
+
+import { createExternalStore, useExternalStore } from './createExternalStore';
+
+// null 이면 navigator.onLine 을 따른다.
+let simulatedStatus = null;
+
+const onlineStatusStore = createExternalStore({
+  subscribe(notify) {
+    window.addEventListener('online', notify);
+    window.addEventListener('offline', notify);
+    return () => {
+      window.removeEventListener('online', notify);
+      window.removeEventListener('offline', notify);
+    };
+  },
+  getSnapshot: () => simulatedStatus ?? navigator.onLine,
+  getServerSnapshot: () => true,
+});
+
+export const { subscribe, getSnapshot: getOnlineStatus } = onlineStatusStore;
+
+export function getSimulatedOnlineStatus() {
+  return simulatedStatus;
+}
+
+export function setSimulatedOnlineStatus(status) {
+  simulatedStatus = status;
+  onlineStatusStore.notify();
+}
+
+export const useOnlineStatus = () => {
+  return useExternalStore(onlineStatusStore);
+}
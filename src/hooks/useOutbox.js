@@ -0,0 +1,137 @@
+/**
+ * useOutbox({ send, undoWindow, onError })
+ * 보낼 것들을 바로 보내지 않고 undoWindow ms 동안 모아두는 보낼 편지함(outbox). (FIX_A_BROKEN_CHAT_INPUT 을 일반화한 것)
+ * -> { items, enqueue, cancel, sendNow, retry, flush }
+ * - items: [{ id, payload, status, remaining, error }]
+ *   status: 'queued' (되돌릴 수 있음) | 'sending' (send 가 돌려준 promise 를 기다리는 중) | 'failed'
+ *   remaining: 'queued' 일 때 보내기까지 남은 ms
+ * - enqueue(payload): 큐에 넣고 id 를 돌려준다. 항목마다 따로 타이머를 건다. undoWindow 가 0 이면 바로 보낸다.
+ * - cancel(id): 보내지 않고 지운다. (되돌리기, 실패한 항목 버리기)
+ * - sendNow(id), retry(id): 기다리지 않고 지금 보낸다. / 실패한 항목을 다시 보낸다.
+ * - flush(): 기다리는 항목을 모두 지금 보낸다.
+ *
+ * send(payload) 가 throw 하거나, reject 되는 promise 나 false 를 돌려주면 실패로 보고 'failed' 로 남기고 onError(error, payload) 를 호출한다.
+ * 성공하면 큐에서 지운다.
+ * 페이지를 떠날 때(pagehide)와 unmount 될 때는 기다리던 항목을 버리지 않고 바로 보낸다.
+ * send, onError 는 useEffectEvent 로 감싸므로 보낼 때의 최신 함수를 호출한다. 시간과 타이머는 useClock() 의 시계를 쓴다.
+ */
+
+import { useState, useEffect, useRef } from 'react';
+import { useClock } from '../clock/useClock';
+import { useEffectEvent } from './useEffectEvent';
+import { useInterval } from './timers';
+
+export const UNDO_WINDOW = 5000;
+// 남은 시간 표시를 갱신하는 간격
+const COUNTDOWN_DELAY = 250;
+
+let nextItemId = 0;
+
+export const useOutbox = ({ send, undoWindow = UNDO_WINDOW, onError }) => {
+  const clock = useClock();
+  const [items, setItems] = useState([]);
+  const [now, setNow] = useState(() => clock.now());
+  // id -> timeoutId
+  const timersRef = useRef(new Map());
+  const onSend = useEffectEvent(send);
+  const onFailure = useEffectEvent((error, payload) => onError?.(error, payload));
+
+  const hasQueued = items.some(item => item.status === 'queued');
+  useInterval({
+    onTick: () => setNow(clock.now()),
+    delay: hasQueued ? COUNTDOWN_DELAY : null,
+  });
+
+  function update(id, fields) {
+    setItems(items => items.map(item => item.id === id ? { ...item, ...fields } : item));
+  }
+
+  function remove(id) {
+    setItems(items => items.filter(item => item.id !== id));
+  }
+
+  function clearTimer(id) {
+    const timers = timersRef.current;
+    if (timers.has(id)) {
+      clock.clearTimeout(timers.get(id));
+      timers.delete(id);
+    }
+  }
+
+  function fail(item, error) {
+    update(item.id, { status: 'failed', error: error?.message ?? String(error) });
+    onFailure(error, item.payload);
+  }
+
+  function deliver(item) {
+    clearTimer(item.id);
+    update(item.id, { status: 'sending', error: null });
+    let result;
+    try {
+      result = onSend(item.payload);
+    } catch (error) {
+      fail(item, error);
+      return;
+    }
+    Promise.resolve(result).then(
+      sent => (sent === false ? fail(item, new Error('Not sent.')) : remove(item.id)),
+      error => fail(item, error)
+    );
+  }
+
+  function enqueue(payload) {
+    const item = { id: nextItemId++, payload, status: 'queued', sendAt: clock.now() + undoWindow, error: null };
+    setItems(items => [...items, item]);
+    setNow(clock.now());
+    if (undoWindow <= 0) {
+      deliver(item);
+    } else {
+      timersRef.current.set(item.id, clock.setTimeout(() => {
+        timersRef.current.delete(item.id);
+        deliver(item);
+      }, undoWindow));
+    }
+    return item.id;
+  }
+
+  function cancel(id) {
+    clearTimer(id);
+    remove(id);
+  }
+
+  function deliverIf(id, status) {
+    const item = items.find(item => item.id === id);
+    if (item?.status === status) {
+      deliver(item);
+    }
+  }
+
+  const sendNow = id => deliverIf(id, 'queued');
+  const retry = id => deliverIf(id, 'failed');
+
+  function flush() {
+    items.filter(item => item.status === 'queued').forEach(deliver);
+  }
+
+  const onLeave = useEffectEvent(flush);
+
+  useEffect(() => {
+    window.addEventListener('pagehide', onLeave);
+    return () => {
+      window.removeEventListener('pagehide', onLeave);
+      onLeave();
+    };
+  }, []);
+
+  return {
+    items: items.map(({ sendAt, ...item }) => ({
+      ...item,
+      remaining: item.status === 'queued' ? Math.max(0, sendAt - now) : 0,
+    })),
+    enqueue,
+    cancel,
+    sendNow,
+    retry,
+    flush,
+  };
+}
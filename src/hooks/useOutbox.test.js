@@ -0,0 +1,43 @@
+import { render, screen, fireEvent, waitFor, act } from '@testing-library/react';
+import { createManualClock } from '../clock/clock';
+import { ClockProvider } from '../clock/useClock';
+import { useOutbox } from './useOutbox';
+
+test('useOutbox reports failed sends and retries them', async () => {
+  const clock = createManualClock();
+  const onError = jest.fn();
+  let isOnline = false;
+  const Example = () => {
+    const outbox = useOutbox({
+      undoWindow: 1000,
+      send: ({ text }) => (isOnline ? Promise.resolve() : Promise.reject(new Error(`offline: ${text}`))),
+      onError,
+    });
+    return (
+      <>
+        <button onClick={() => outbox.enqueue({ text: 'hi' })}>Queue</button>
+        <ul aria-label="Outbox">
+          {outbox.items.map(item => (
+            <li key={item.id}>
+              {item.payload.text} {item.status} {item.error}
+              <button onClick={() => outbox.retry(item.id)}>Retry</button>
+            </li>
+          ))}
+        </ul>
+      </>
+    );
+  };
+  const wrapper = ({ children }) => <ClockProvider clock={clock}>{children}</ClockProvider>;
+  render(<Example />, { wrapper });
+  fireEvent.click(screen.getByRole('button', { name: 'Queue' }));
+  expect(screen.getByRole('listitem')).toHaveTextContent('hi queued');
+  act(() => clock.advance(1000));
+  expect(screen.getByRole('listitem')).toHaveTextContent('hi sending');
+  await waitFor(() => expect(screen.getByRole('listitem')).toHaveTextContent('hi failed offline: hi'));
+  expect(onError).toHaveBeenCalledWith(new Error('offline: hi'), { text: 'hi' });
+
+  isOnline = true;
+  fireEvent.click(screen.getByRole('button', { name: 'Retry' }));
+  await waitFor(() => expect(screen.queryByRole('listitem')).not.toBeInTheDocument());
+  expect(onError).toHaveBeenCalledTimes(1);
+});
@@ -0,0 +1,171 @@
+/**
+ * useStopwatch(storageKey)
+ * 스톱워치 상태와 조작 함수를 돌려준다.
+ * -> { status, elapsed, laps, start, pause, resume, reset, lap, toggle }
+ * - status: 'idle' | 'running' | 'paused'
+ * - laps: [{ number, time, total }] (time: 그 랩의 시간, total: 시작부터의 시간, ms)
+ * - toggle(): 상태에 따라 start / pause / resume 중 하나
+ *
+ * 시작 시각(시계의 now)과 그 전까지 흐른 시간만 저장하고, elapsed 는 렌더링할 때 계산한다.
+ * 그래서 interval 이 늦게 실행되어도 시간이 밀리지 않고, 새로고침해도 이어서 잰다.
+ * 진행 중인 세션은 localStorage 의 storageKey 에 저장한다. reset 하면 지운다.
+ *
+ * - useStopwatchShortcuts(stopwatch): Space 시작/일시정지/재개, L 랩, R 초기화
+ *   입력 중일 때(input, textarea, select, contenteditable)와 modifier key 를 누른 경우는 무시한다.
+ * - getLapStats(laps): 랩이 둘 이상이면 { best, worst } 랩 번호, 아니면 null
+ * - formatDuration(ms): 'mm:ss.cc'
+ * - formatLapsCsv(laps): 'Lap,Lap time,Total' 헤더가 있는 CSV
+ */
+
+import { useState, useEffect, useReducer } from 'react';
+import { useClock } from '../clock/useClock';
+import { useInterval } from './timers';
+import { useEffectEvent } from './useEffectEvent';
+import { setStorageItem } from './browserStores';
+
+// 화면을 다시 그리는 간격. 시간은 시계에서 읽으므로 정확도와는 상관없다.
+const TICK_DELAY = 10;
+const SESSION_VERSION = 1;
+
+const initialSession = {
+  status: 'idle',
+  // running 일 때 이번 구간을 시작한 시각
+  startedAt: null,
+  // 이번 구간 전까지 흐른 시간
+  elapsedBefore: 0,
+  laps: [],
+};
+
+function getElapsed(session, now) {
+  if (session.status !== 'running') return session.elapsedBefore;
+  return session.elapsedBefore + Math.max(0, now - session.startedAt);
+}
+
+function stopwatchReducer(session, action) {
+  switch (action.type) {
+    case 'start':
+      if (session.status !== 'idle') return session;
+      return { ...initialSession, status: 'running', startedAt: action.now };
+    case 'pause':
+      if (session.status !== 'running') return session;
+      return { ...session, status: 'paused', startedAt: null, elapsedBefore: getElapsed(session, action.now) };
+    case 'resume':
+      if (session.status !== 'paused') return session;
+      return { ...session, status: 'running', startedAt: action.now };
+    case 'lap': {
+      if (session.status !== 'running') return session;
+      const total = getElapsed(session, action.now);
+      const previousTotal = session.laps.at(-1)?.total ?? 0;
+      const lap = { number: session.laps.length + 1, time: total - previousTotal, total };
+      return { ...session, laps: [...session.laps, lap] };
+    }
+    case 'reset':
+      return initialSession;
+    default:
+      throw new Error(`Unknown stopwatch action: ${action.type}`);
+  }
+}
+
+function readSession(storageKey) {
+  try {
+    const session = JSON.parse(window.localStorage.getItem(storageKey));
+    if (session?.version !== SESSION_VERSION) return initialSession;
+    const { status, startedAt, elapsedBefore, laps } = session;
+    return { status, startedAt, elapsedBefore, laps };
+  } catch {
+    return initialSession;
+  }
+}
+
+export const useStopwatch = (storageKey) => {
+  const clock = useClock();
+  const [session, dispatch] = useReducer(stopwatchReducer, storageKey, readSession);
+  const [now, setNow] = useState(() => clock.now());
+
+  useInterval({
+    onTick: () => setNow(clock.now()),
+    delay: session.status === 'running' ? TICK_DELAY : null,
+  });
+
+  useEffect(() => {
+    setStorageItem(
+      storageKey,
+      session.status === 'idle' ? null : JSON.stringify({ version: SESSION_VERSION, ...session })
+    );
+  }, [storageKey, session]);
+
+  function dispatchNow(type) {
+    const time = clock.now();
+    setNow(time);
+    dispatch({ type, now: time });
+  }
+
+  const start = () => dispatchNow('start');
+  const pause = () => dispatchNow('pause');
+  const resume = () => dispatchNow('resume');
+  const lap = () => dispatchNow('lap');
+  const reset = () => dispatchNow('reset');
+  const toggle = { idle: start, running: pause, paused: resume }[session.status];
+
+  return {
+    status: session.status,
+    elapsed: getElapsed(session, now),
+    laps: session.laps,
+    start,
+    pause,
+    resume,
+    lap,
+    reset,
+    toggle,
+  };
+}
+
+function isEditable(target) {
+  return target instanceof Element && (
+    target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)
+  );
+}
+
+export const useStopwatchShortcuts = (stopwatch) => {
+  // 렌더링마다 새로 만드는 start/pause 등을 최신 값으로 읽는다. (listener 는 한 번만 등록한다.)
+  const onShortcut = useEffectEvent(key => {
+    const action = { ' ': stopwatch.toggle, l: stopwatch.lap, r: stopwatch.reset }[key];
+    action?.();
+    return Boolean(action);
+  });
+
+  useEffect(() => {
+    function handleKeyDown(e) {
+      if (e.repeat || e.altKey || e.ctrlKey || e.metaKey || isEditable(e.target)) return;
+      if (onShortcut(e.key.toLowerCase())) {
+        e.preventDefault();
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+}
+
+export function getLapStats(laps) {
+  if (laps.length < 2) return null;
+  let best = laps[0];
+  let worst = laps[0];
+  laps.forEach(lap => {
+    if (lap.time < best.time) best = lap;
+    if (lap.time > worst.time) worst = lap;
+  });
+  return { best: best.number, worst: worst.number };
+}
+
+export function formatDuration(ms) {
+  const centiseconds = Math.floor(ms / 10);
+  const minutes = Math.floor(centiseconds / 6000);
+  const seconds = Math.floor(centiseconds / 100) % 60;
+  const pad = value => String(value).padStart(2, '0');
+  return `${pad(minutes)}:${pad(seconds)}.${pad(centiseconds % 100)}`;
+}
+
+export function formatLapsCsv(laps) {
+  const rows = laps.map(lap => [lap.number, formatDuration(lap.time), formatDuration(lap.total)].join(','));
+  return ['Lap,Lap time,Total', ...rows].join('\n');
+}
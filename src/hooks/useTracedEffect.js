@@ -0,0 +1,98 @@
+/**
+ * useTracedEffect
+ * useEffect 와 똑같이 쓰면서, effect 가 다시 실행될 때마다 "어떤 의존성이 바뀌어서" 다시 실행됐는지 console 에 남긴다.
+ * useTracedEffect(setup, deps, { label, names })
+ * - label: 로그 앞에 붙일 이름 (기본값 'effect')
+ * - names: deps 와 같은 순서의 의존성 이름. 없으면 deps[0], deps[1] ... 로 표시한다.
+ *
+ * 의존성이 바뀌었는데 내용은 같다면(deep equal) 경고한다.
+ * 렌더링마다 새로 만드는 object 나 함수를 의존성에 넣어서 effect 가 너무 자주 실행될 때 원인을 찾을 수 있다.
+ * 함수는 소스가 같으면 같은 함수로 본다.
+ *
+ * 의존성 배열 검사(react-hooks/exhaustive-deps)는 package.json 의 additionalHooks 설정으로 useEffect 와 똑같이 받는다.
+ */
+
+import { useEffect, useRef } from 'react';
+
+const MAX_VALUE_LENGTH = 60;
+
+export function isDeepEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (typeof a === 'function' && typeof b === 'function') {
+    return a.toString() === b.toString();
+  }
+  if (typeof a !== 'object' || typeof b !== 'object' || a === null || b === null) {
+    return false;
+  }
+  if (Object.getPrototypeOf(a) !== Object.getPrototypeOf(b)) return false;
+  if (a instanceof Date) return a.getTime() === b.getTime();
+
+  const keys = Object.keys(a);
+  if (keys.length !== Object.keys(b).length) return false;
+  return keys.every(key => Object.hasOwn(b, key) && isDeepEqual(a[key], b[key]));
+}
+
+export function formatValue(value) {
+  if (typeof value === 'function') {
+    return `ƒ ${value.name || 'anonymous'}()`;
+  }
+  let text;
+  try {
+    text = JSON.stringify(value) ?? String(value);
+  } catch {
+    text = String(value);
+  }
+  return text.length > MAX_VALUE_LENGTH ? text.slice(0, MAX_VALUE_LENGTH) + '…' : text;
+}
+
+// 이전 실행과 비교해서 바뀐 의존성 목록을 돌려준다. -> [{ index, name, prev, next, isDeepEqual }]
+export function getChangedDeps(prevDeps, deps, names = []) {
+  const changes = [];
+  deps.forEach((dep, index) => {
+    const prev = prevDeps[index];
+    if (!Object.is(prev, dep)) {
+      changes.push({
+        index,
+        name: names[index] ?? `deps[${index}]`,
+        prev,
+        next: dep,
+        isDeepEqual: isDeepEqual(prev, dep),
+      });
+    }
+  });
+  return changes;
+}
+
+export const useTracedEffect = (setup, deps, { label = 'effect', names } = {}) => {
+  // 마지막으로 effect 를 실행했을 때의 deps
+  const prevDepsRef = useRef(null);
+
+  useEffect(() => {
+    const prevDeps = prevDepsRef.current;
+    prevDepsRef.current = deps;
+
+    if (prevDeps === null) {
+      console.log(`🔍 [${label}] ran for the first time`);
+    } else if (deps === undefined) {
+      console.log(`🔍 [${label}] re-ran because it has no dependency array (runs after every render)`);
+    } else if (prevDeps === deps) {
+      // 다시 렌더링하지 않고 같은 setup 을 다시 실행한 경우
+      console.log(`🔍 [${label}] re-ran without any dependency change (StrictMode)`);
+    } else {
+      getChangedDeps(prevDeps, deps, names).forEach(change => {
+        const where = `${change.name} (#${change.index})`;
+        console.log(`🔍 [${label}] re-ran because ${where} changed: ${formatValue(change.prev)} → ${formatValue(change.next)}`);
+        if (change.isDeepEqual) {
+          console.warn(
+            `⚠️ [${label}] ${where} changed identity but is deeply equal. ` +
+            'It is probably an object or function created during rendering; move it inside the effect or depend on its primitive values.'
+          );
+        }
+      });
+    }
+
+    return setup();
+    // deps 를 그대로 넘기는 wrapper 라서 배열 리터럴이 아니다. (사용하는 쪽의 deps 는 additionalHooks 로 검사한다.)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, deps);
+}
@@ -0,0 +1,19 @@
+import { render } from '@testing-library/react';
+import { useTracedEffect } from './useTracedEffect';
+
+test('warns when a traced dependency is recreated with the same contents', () => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'warn').mockImplementation(() => {});
+  const Example = ({ theme }) => {
+    // 렌더링마다 내용이 같은 새 object 를 만든다. (lint 가 잡아 주는 실수를 일부러 재현한다.)
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    const options = { roomId: 'general' };
+    useTracedEffect(() => {}, [options, theme], { label: 'test', names: ['options'] });
+    return null;
+  };
+  const { rerender } = render(<Example theme="light" />);
+  rerender(<Example theme="dark" />);
+  expect(console.log).toHaveBeenCalledWith('🔍 [test] re-ran because deps[1] (#1) changed: "light" → "dark"');
+  expect(console.warn).toHaveBeenCalledTimes(1);
+  expect(console.warn.mock.calls[0][0]).toMatch(/^⚠️ \[test\] options \(#0\) changed identity but is deeply equal/);
+});
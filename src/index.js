@@ -1,15 +1,27 @@
+// react-dom 을 불러오기 전에 설치해야 하므로 가장 먼저 import 한다.
+import './gallery/installRenderTracking';
 import React from 'react';
 import ReactDOM from 'react-dom/client';
 import './index.css';
 import App from './App';
 import reportWebVitals from './reportWebVitals';
+import { installConsoleCapture } from './gallery/consoleCapture';
+import { getHashPath } from './gallery/useHashPath';
+import { installEffectTracing } from './gallery/effectTracing';
+import { installLeakDetection } from './gallery/leakDetection';
+
+// 예제의 console 출력을 ConsolePanel 로 모은다. 앱 밖에서 한 번만 초기화한다.
+// effect 의 setup/cleanup 을 EffectTimeline 에 기록한다. 렌더링 전에 설치해야 한다.
+// 예제가 정리하지 않은 타이머/listener/animation frame 을 예제가 unmount 될 때 알린다.
+if (process.env.NODE_ENV !== 'production') {
+  installConsoleCapture({ getSource: getHashPath });
+  installEffectTracing();
+  installLeakDetection();
+}
 
 const root = ReactDOM.createRoot(document.getElementById('root'));
-root.render(
-  <React.StrictMode>
-    <App />
-  </React.StrictMode>
-);
+// StrictMode 는 Gallery 에서 예제마다 켜고 끌 수 있다.
+root.render(<App />);
 
 // If you want to start measuring performance in your app, pass a function
 // to log results (for example: reportWebVitals(console.log))
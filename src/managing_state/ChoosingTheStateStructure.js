@@ -140,4 +140,28 @@ export const IMPLEMENT_MULTIPLE_SELECTION = () => {
       }
     });
   }
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+// 나머지 예시 컴포넌트들은 state 설계 설명용이라 렌더링하지 않는다.
+export const demos = {
+  TravelPlan: {
+    component: TravelPlan,
+    props: {
+      initialTravelPlan: {
+        0: { id: 0, title: '(Root)', childIds: [1, 4] },
+        1: { id: 1, title: 'Earth', childIds: [2, 3] },
+        2: { id: 2, title: 'Korea', childIds: [] },
+        3: { id: 3, title: 'Japan', childIds: [] },
+        4: { id: 4, title: 'Moon', childIds: [5] },
+        5: { id: 5, title: 'Rheita', childIds: [] },
+      },
+    },
+  },
+};
+export const challenges = {
+  FIX_A_COMPONENT_THAT_IS_NOT_UPDATING: {
+    component: FIX_A_COMPONENT_THAT_IS_NOT_UPDATING,
+    props: { color: 'lightcoral', time: '12:00:00' },
+  },
+};
@@ -119,4 +119,8 @@ export const useMyReducer = (reducer, initialState) => {
   const [state, setState] = useState(initialState);
   const dispatch = (action) => setState(prev => reducer(prev, action));
   return [state, dispatch];
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = {};
+export const challenges = { DISPATCH_ACTIONS_FROM_EVENT_HANDLERS };
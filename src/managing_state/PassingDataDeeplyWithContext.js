@@ -186,3 +186,7 @@ export function getImageUrl(place) {
     'l.jpg'
   );
 }
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { Page };
+export const challenges = { REPLACE_PROP_DRILLING_WITH_CONTEXT };
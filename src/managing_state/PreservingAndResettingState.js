@@ -429,3 +429,13 @@ const contacts = [
   { id: 1, name: 'Bob', email: 'bob@mail.com' },
   { id: 2, name: 'Taylor', email: 'taylor@mail.com' }
 ];
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { Counter, Example1, Example2, Example3, Example4, Example5, Example6, ScoreBoard };
+export const challenges = {
+  FIX_DISAPPEARING_INPUT_TEXT,
+  SWAP_TWO_FORM_FIELDS,
+  RESET_A_DETAIL_FORM: { component: RESET_A_DETAIL_FORM, props: { initialContacts: contacts } },
+  CLEAR_AN_IMAGE_WHILE_IT_IS_LOADING,
+  FIX_MISPLACED_STATE_IN_THE_LIST,
+};
@@ -58,4 +58,8 @@ export const PROFILE_EDITOR = () => {
       <p><i>Hello, {`${firstName} ${lastName}`}!</i></p>
     </form>
   );
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = {};
+export const challenges = { ADD_AND_REMOVE_A_CSS_CLASS, PROFILE_EDITOR };
@@ -153,4 +153,8 @@ function Task({ task }) {
       </button>
     </label>
   );
-}
\ No newline at end of file
+}
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { TaskApp };
+export const challenges = {};
@@ -79,3 +79,10 @@ function List({ items }) {
     </table>
   );
 }
+
+// Gallery 에 등록할 예제 (src/gallery/registry.js)
+export const demos = { SyncedInputs };
+// FILTERING_A_LIST 는 아직 filterItems 를 구현하지 않아서 렌더링하면 에러가 난다. (ExampleErrorBoundary 가 보여준다.)
+export const challenges = {
+  FILTERING_A_LIST: { component: FILTERING_A_LIST, props: { foods: [] } },
+};
@@ -0,0 +1,109 @@
+/**
+ * 네트워크 상태 시뮬레이션 설정 UI
+ */
+
+import { useSyncExternalStore } from 'react';
+import {
+  subscribe,
+  getNetworkConditions,
+  setNetworkConditions,
+  resetNetworkConditions,
+  forceDisconnect,
+} from './networkConditions';
+import {
+  subscribe as subscribeOnlineStatus,
+  getSimulatedOnlineStatus,
+  setSimulatedOnlineStatus,
+} from '../hooks/useOnlineStatus';
+
+const ONLINE_OPTIONS = {
+  auto: null,
+  offline: false,
+  online: true,
+};
+
+export const NetworkConditionsPanel = () => {
+  const conditions = useSyncExternalStore(subscribe, getNetworkConditions, getNetworkConditions);
+  const { randomLatency, minLatency, maxLatency, failureRate, outOfOrder } = conditions;
+  const simulatedOnlineStatus = useSyncExternalStore(subscribeOnlineStatus, getSimulatedOnlineStatus, getSimulatedOnlineStatus);
+  const onlineOption = Object.keys(ONLINE_OPTIONS).find(key => ONLINE_OPTIONS[key] === simulatedOnlineStatus);
+
+  return (
+    <details className="network-panel">
+      <summary><b>Network conditions</b></summary>
+      <label>
+        Online status:{' '}
+        <select
+          value={onlineOption}
+          onChange={e => setSimulatedOnlineStatus(ONLINE_OPTIONS[e.target.value])}
+        >
+          <option value="auto">browser (navigator.onLine)</option>
+          <option value="offline">force offline</option>
+          <option value="online">force online</option>
+        </select>
+      </label>
+      <br />
+      <label>
+        <input
+          type="checkbox"
+          checked={randomLatency}
+          onChange={e => setNetworkConditions({ randomLatency: e.target.checked })}
+        />
+        Random latency
+      </label>
+      <label>
+        {' '}min{' '}
+        <input
+          type="number"
+          min="0"
+          step="100"
+          disabled={!randomLatency}
+          value={minLatency}
+          onChange={e => setNetworkConditions({ minLatency: Number(e.target.value) })}
+        />
+      </label>
+      <label>
+        {' '}max{' '}
+        <input
+          type="number"
+          min="0"
+          step="100"
+          disabled={!randomLatency}
+          value={maxLatency}
+          onChange={e => setNetworkConditions({ maxLatency: Number(e.target.value) })}
+        />
+        {' '}ms
+      </label>
+      <br />
+      <label>
+        Failure rate: {Math.round(failureRate * 100)}%
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={failureRate}
+          onChange={e => setNetworkConditions({ failureRate: Number(e.target.value) })}
+        />
+      </label>
+      <br />
+      <label>
+        <input
+          type="checkbox"
+          checked={outOfOrder}
+          onChange={e => setNetworkConditions({ outOfOrder: e.target.checked })}
+        />
+        Out-of-order responses
+      </label>
+      <br />
+      <button onClick={forceDisconnect}>Drop all connections</button>
+      {' '}
+      <button onClick={() => {
+        resetNetworkConditions();
+        setSimulatedOnlineStatus(null);
+      }}>
+        Reset
+      </button>
+    </details>
+  );
+}
@@ -0,0 +1,91 @@
+/**
+ * 네트워크 상태 시뮬레이션
+ * mock fetcher(fetchBio, fetchData)와 mock 채팅 서버가 공유하는 "네트워크 상태" 설정이다.
+ * 고정된 지연 시간(3000ms, 100ms) 대신 무작위 지연, 실패, 순서가 뒤바뀐 응답, 강제 연결 끊김을 만들어서
+ * 예제의 cleanup 로직(ignore 플래그, disconnect 등)이 경쟁 상태를 잘 처리하는지 확인할 수 있다.
+ *
+ * - randomLatency: 켜면 각 mock 의 기본 지연 대신 minLatency ~ maxLatency 사이의 무작위 지연을 쓴다.
+ * - failureRate: 0 ~ 1. 요청 실패/연결 실패/메시지 유실 확률
+ * - outOfOrder: 켜면 나중에 보낸 요청일수록 먼저 응답한다. (진행 중인 요청 수만큼 지연을 줄인다.)
+ *
+ * simulateResponse 는 getClock() 의 시계로 응답을 기다린다. (src/clock/clock.js)
+ */
+
+import { getClock } from '../clock/clock';
+
+export const defaultConditions = {
+  randomLatency: false,
+  minLatency: 100,
+  maxLatency: 3000,
+  failureRate: 0,
+  outOfOrder: false,
+};
+
+let conditions = defaultConditions;
+let inFlightCount = 0;
+const listeners = new Set();
+const disconnectHandlers = new Set();
+
+export function getNetworkConditions() {
+  return conditions;
+}
+
+export function setNetworkConditions(nextConditions) {
+  conditions = { ...conditions, ...nextConditions };
+  listeners.forEach(listener => listener());
+}
+
+export function resetNetworkConditions() {
+  setNetworkConditions(defaultConditions);
+}
+
+export function subscribe(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+// 현재 설정에 따른 지연 시간
+export function getLatency(baseDelay) {
+  const { randomLatency, minLatency, maxLatency, outOfOrder } = conditions;
+  let latency = baseDelay;
+  if (randomLatency) {
+    const min = Math.min(minLatency, maxLatency);
+    const max = Math.max(minLatency, maxLatency);
+    latency = min + Math.random() * (max - min);
+  }
+  if (outOfOrder) {
+    latency = latency / (1 + inFlightCount);
+  }
+  return latency;
+}
+
+export function shouldFail() {
+  return Math.random() < conditions.failureRate;
+}
+
+// mock fetcher 용. baseDelay 뒤에 getResult() 로 resolve 하거나, failureRate 확률로 reject 한다.
+export function simulateResponse(baseDelay, getResult) {
+  const latency = getLatency(baseDelay);
+  const willFail = shouldFail();
+  inFlightCount += 1;
+  return new Promise((resolve, reject) => {
+    getClock().setTimeout(() => {
+      inFlightCount -= 1;
+      if (willFail) {
+        reject(Error('Network error (simulated)'));
+      } else {
+        resolve(getResult());
+      }
+    }, latency);
+  });
+}
+
+// mock 서버들이 강제로 연결을 끊을 때 호출될 함수를 등록한다.
+export function onForcedDisconnect(handler) {
+  disconnectHandlers.add(handler);
+  return () => disconnectHandlers.delete(handler);
+}
+
+export function forceDisconnect() {
+  disconnectHandlers.forEach(handler => handler());
+}
@@ -0,0 +1,73 @@
+import { installManualClock, flushPromises } from '../testUtils';
+import {
+  forceDisconnect,
+  onForcedDisconnect,
+  setNetworkConditions,
+  resetNetworkConditions,
+  getLatency,
+  simulateResponse,
+} from './networkConditions';
+
+afterEach(() => {
+  resetNetworkConditions();
+});
+
+test('network conditions pick a latency in the configured range', () => {
+  jest.spyOn(Math, 'random').mockReturnValue(0.5);
+  expect(getLatency(300)).toBe(300);
+  setNetworkConditions({ randomLatency: true, minLatency: 1000, maxLatency: 200 });
+  expect(getLatency(300)).toBe(600);
+  Math.random.mockReturnValue(0);
+  expect(getLatency(300)).toBe(200);
+  Math.random.mockReturnValue(1);
+  expect(getLatency(300)).toBe(1000);
+});
+
+test('network conditions serve later requests first when out of order', async () => {
+  const clock = installManualClock();
+  setNetworkConditions({ outOfOrder: true });
+  const settled = [];
+  simulateResponse(3000, () => 'first').then(result => settled.push(result));
+  simulateResponse(3000, () => 'second').then(result => settled.push(result));
+
+  clock.advance(1500);
+  await flushPromises();
+  expect(settled).toEqual(['second']);
+  clock.advance(1500);
+  await flushPromises();
+  expect(settled).toEqual(['second', 'first']);
+});
+
+test('simulateResponse resolves or rejects by the failure rate after the latency', async () => {
+  const clock = installManualClock();
+  const random = jest.spyOn(Math, 'random');
+  setNetworkConditions({ failureRate: 0.5, outOfOrder: true });
+  const settled = [];
+  const track = (name, promise) => promise.then(
+    result => settled.push(`${name} ${result}`),
+    error => settled.push(`${name} ${error.message}`)
+  );
+  random.mockReturnValue(0.7);
+  track('first', simulateResponse(3000, () => 'ok'));
+  random.mockReturnValue(0.2);
+  // 진행 중인 요청이 하나 있으므로 절반만 기다린다.
+  track('second', simulateResponse(3000, () => 'ok'));
+
+  clock.advance(1500);
+  await flushPromises();
+  expect(settled).toEqual(['second Network error (simulated)']);
+  clock.advance(1500);
+  await flushPromises();
+  expect(settled).toEqual(['second Network error (simulated)', 'first ok']);
+  expect(clock.getTimerCount()).toBe(0);
+});
+
+test('forceDisconnect calls the registered handlers until they unsubscribe', () => {
+  const handler = jest.fn();
+  const unsubscribe = onForcedDisconnect(handler);
+  forceDisconnect();
+  expect(handler).toHaveBeenCalledTimes(1);
+  unsubscribe();
+  forceDisconnect();
+  expect(handler).toHaveBeenCalledTimes(1);
+});
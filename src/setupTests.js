@@ -3,3 +3,23 @@
 // expect(element).toHaveTextContent(/react/i)
 // learn more: https://github.com/testing-library/jest-dom
 import '@testing-library/jest-dom';
+// 테스트 파일이 react-dom 을 불러오기 전에 설치한다.
+import './gallery/installRenderTracking';
+
+// jsdom 에는 WebCrypto(crypto.subtle)와 TextEncoder 가 없어서 Node 구현을 쓴다. (암호화 채팅 연결)
+import { webcrypto } from 'crypto';
+import { TextEncoder, TextDecoder } from 'util';
+import { runTestCleanups } from './testUtils';
+
+if (!window.crypto?.subtle) {
+  Object.defineProperty(window, 'crypto', { value: webcrypto, configurable: true });
+}
+if (!window.TextEncoder) {
+  Object.assign(window, { TextEncoder, TextDecoder });
+}
+
+// 테스트가 installForTest 로 등록한 것과 spyOn 으로 바꾼 것은 테스트가 실패해도 되돌린다. (src/testUtils.js)
+afterEach(() => {
+  runTestCleanups();
+  jest.restoreAllMocks();
+});
@@ -0,0 +1,49 @@
+/**
+ * 테스트 도우미
+ * 테스트가 바꾼 전역 상태(시계, 브라우저 API)는 installForTest 로 되돌리는 함수를 등록한다.
+ * 등록한 함수는 테스트가 실패해도 afterEach 에서 등록한 반대 순서로 호출한다. (src/setupTests.js)
+ */
+
+import { fireEvent } from '@testing-library/react';
+import { createManualClock, setClock } from './clock/clock';
+
+let cleanups = [];
+
+export function installForTest(uninstall) {
+  cleanups.push(uninstall);
+}
+
+export function runTestCleanups() {
+  const pending = cleanups.reverse();
+  cleanups = [];
+  pending.forEach(cleanup => cleanup());
+}
+
+// getClock() 의 시계를 테스트 동안 manual clock 으로 바꾼다.
+export function installManualClock(options) {
+  const clock = createManualClock(options);
+  installForTest(setClock(clock));
+  return clock;
+}
+
+// window 의 속성(WebSocket, crypto, matchMedia 등)을 테스트 동안 바꾼다.
+// crypto 처럼 getter 만 있는 속성도 바꿀 수 있도록 defineProperty 를 쓴다.
+export function installGlobal(name, value) {
+  const descriptor = Object.getOwnPropertyDescriptor(window, name);
+  Object.defineProperty(window, name, { value, configurable: true, writable: true });
+  installForTest(() => {
+    if (descriptor) {
+      Object.defineProperty(window, name, descriptor);
+    } else {
+      delete window[name];
+    }
+  });
+}
+
+// 진짜 타이머로 한 번 쉬어서, 그 전에 settle 된 promise 의 callback 을 실행시킨다.
+export const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+// jsdom 에는 PointerEvent 가 없어서 clientX 를 넘길 수 있는 MouseEvent 로 보낸다.
+export const firePointer = (target, type, clientX, clientY = 0) => {
+  fireEvent(target, new MouseEvent(type, { bubbles: true, button: 0, clientX, clientY }));
+};